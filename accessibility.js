@@ -0,0 +1,274 @@
+/**
+ * Accessibility
+ *
+ * Makes the balls of a BallPhysics usable without a pointer and audible to
+ * screen readers:
+ * - Every ball is a focusable button named after its `ariaLabel`, its
+ *   `label` or its number, with aria-pressed showing whether it is
+ *   selected. The canvas renderer has no element per ball, so it gets
+ *   visually hidden stand-in buttons, and the focused ball is outlined on
+ *   the canvas.
+ * - Keys on a focused ball:
+ *     Arrow keys        nudge it
+ *     Shift + arrows    throw it that way (like a pointer flick)
+ *     Enter / Space     tap it (select it and call its onClick)
+ *     P                 pin or unpin it
+ *     Escape            deselect
+ * - A polite live region announces selections, pins, keyboard throws,
+ *   added and removed balls, and resets.
+ * - prefers-reduced-motion turns on the simulation's `reducedMotion`
+ *   parameter (slower, spin-free balls without effects) unless the
+ *   `reducedMotion` option says otherwise.
+ */
+
+// Velocity change of an arrow key nudge in px/s
+const NUDGE_SPEED = 150;
+// Distance in px of the flick thrown by Shift + arrow
+const KEY_FLICK_DISTANCE = 60;
+// Announcements within this many ms are combined; the last one is read
+const ANNOUNCE_DELAY = 150;
+
+const KEY_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0, name: 'left' },
+  ArrowRight: { x: 1, y: 0, name: 'right' },
+  ArrowUp: { x: 0, y: -1, name: 'up' },
+  ArrowDown: { x: 0, y: 1, name: 'down' },
+};
+
+const KEY_HELP =
+  'Tab to a ball. Arrow keys nudge it, Shift and an arrow key throw it, ' +
+  'Enter selects it, P pins it in place and Escape deselects.';
+
+let accessibilityCount = 0; // For unique element ids per simulation
+
+/**
+ * The name a ball is announced by.
+ * @param {Object} ball
+ * @returns {string}
+ */
+function getBallName(ball) {
+  return ball.ariaLabel || ball.label || `Ball ${ball.id}`;
+}
+
+class BallAccessibility {
+  /**
+   * @param {BallPhysics} physics
+   * @param {HTMLElement} container
+   * @param {Object} [options]
+   * @param {boolean} [options.reducedMotion] - Forces reduced motion on or
+   *   off; left out, it follows prefers-reduced-motion
+   */
+  constructor(physics, container, { reducedMotion } = {}) {
+    this.physics = physics;
+    this.container = container;
+    this.targets = new Map(); // ball -> element focused for it
+    this.addedCount = 0; // Balls added since the last announcement
+    this.pendingMessage = '';
+    this.announceTimer = null;
+    const id = `ball-physics-${++accessibilityCount}`;
+
+    // Put back by destroy()
+    this.savedAttributes = ['role', 'aria-label', 'aria-describedby'].map(
+      (name) => [name, container.getAttribute(name)]
+    );
+    if (!container.hasAttribute('role')) container.setAttribute('role', 'group');
+    if (!container.hasAttribute('aria-label')) {
+      container.setAttribute('aria-label', 'Ball physics simulation');
+    }
+    this.help = document.createElement('p');
+    this.help.id = `${id}-help`;
+    this.help.className = 'visually-hidden';
+    this.help.textContent = KEY_HELP;
+    container.setAttribute('aria-describedby', this.help.id);
+
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'visually-hidden';
+    this.liveRegion.setAttribute('aria-live', 'polite');
+
+    // Stand-in buttons for balls without an element of their own
+    this.proxies = document.createElement('div');
+    this.proxies.className = 'visually-hidden';
+    container.append(this.help, this.liveRegion, this.proxies);
+
+    this.domListeners = [
+      [container, 'keydown', (e) => this.handleKeyDown(e)],
+      [container, 'focusin', (e) => this.handleFocus(e, true)],
+      [container, 'focusout', (e) => this.handleFocus(e, false)],
+    ];
+    this.domListeners.forEach(([target, type, listener]) => {
+      target.addEventListener(type, listener);
+    });
+
+    this.unsubscribe = [
+      physics.on('ballAdded', ({ ball }) => this.handleBallAdded(ball)),
+      physics.on('ballRemoved', ({ ball }) => this.handleBallRemoved(ball)),
+      physics.on('reset', () => this.handleReset()),
+      physics.on('select', ({ ball, previous }) => {
+        if (ball) this.announce(`${getBallName(ball)} selected`);
+        else if (previous) this.announce(`${getBallName(previous)} deselected`);
+      }),
+      physics.on('pin', ({ ball }) => {
+        this.announce(`${getBallName(ball)} pinned`);
+      }),
+      physics.on('unpin', ({ ball }) => {
+        this.announce(`${getBallName(ball)} unpinned`);
+      }),
+    ];
+
+    this.motionQuery = null;
+    if (reducedMotion !== undefined) {
+      physics.setParameters({ reducedMotion });
+    } else if (window.matchMedia) {
+      this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+      this.motionListener = () => {
+        physics.setParameters({ reducedMotion: this.motionQuery.matches });
+      };
+      this.motionListener();
+      this.motionQuery.addEventListener('change', this.motionListener);
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.announceTimer);
+    this.domListeners.forEach(([target, type, listener]) => {
+      target.removeEventListener(type, listener);
+    });
+    this.unsubscribe.forEach((off) => off());
+    if (this.motionQuery) {
+      this.motionQuery.removeEventListener('change', this.motionListener);
+    }
+    this.help.remove();
+    this.liveRegion.remove();
+    this.proxies.remove();
+    this.savedAttributes.forEach(([name, value]) => {
+      if (value === null) this.container.removeAttribute(name);
+      else this.container.setAttribute(name, value);
+    });
+  }
+
+  // The renderer's element for a ball, or a stand-in button
+  createTarget(ball) {
+    const renderer = this.physics.renderer;
+    const element = renderer.getBallElement && renderer.getBallElement(ball);
+    if (element) {
+      element.tabIndex = 0;
+      element.setAttribute('role', 'button');
+      return element;
+    }
+
+    const proxy = document.createElement('button');
+    proxy.type = 'button';
+    this.proxies.appendChild(proxy);
+    return proxy;
+  }
+
+  // Bring a ball's name and state up to date on its element
+  updateBall(ball) {
+    const target = this.targets.get(ball);
+    if (!target) return;
+    const name = getBallName(ball);
+    target.setAttribute('aria-label', ball.pinned ? `${name}, pinned` : name);
+    target.setAttribute('aria-pressed', String(Boolean(ball.selected)));
+  }
+
+  handleBallAdded(ball) {
+    this.targets.set(ball, this.createTarget(ball));
+    this.updateBall(ball);
+
+    this.addedCount++;
+    this.announce(
+      this.addedCount === 1
+        ? `${getBallName(ball)} added`
+        : `${this.addedCount} balls added`
+    );
+  }
+
+  handleBallRemoved(ball) {
+    this.removeTarget(ball);
+    this.announce(`${getBallName(ball)} removed`);
+  }
+
+  removeTarget(ball) {
+    const target = this.targets.get(ball);
+    if (target && target.parentNode === this.proxies) target.remove();
+    this.targets.delete(ball);
+  }
+
+  // Resets replace the balls without removing them one by one
+  handleReset() {
+    const balls = this.physics.balls;
+    this.targets.forEach((target, ball) => {
+      if (!balls.includes(ball)) this.removeTarget(ball);
+    });
+    const count = balls.length;
+    this.announce(`Scene reset with ${count} ${count === 1 ? 'ball' : 'balls'}`);
+  }
+
+  ballForTarget(element) {
+    for (const [ball, target] of this.targets) {
+      if (target === element) return ball;
+    }
+    return null;
+  }
+
+  handleFocus(e, focused) {
+    const ball = this.ballForTarget(e.target);
+    if (!ball) return;
+    ball.focused = focused;
+    this.physics.renderBallState(ball);
+  }
+
+  handleKeyDown(e) {
+    const physics = this.physics;
+    if (physics.playback) return; // Recorded input is driving the balls
+    if (e.key === 'Escape') {
+      physics.select(null);
+      return;
+    }
+
+    const ball = this.ballForTarget(e.target);
+    if (!ball || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const direction = KEY_DIRECTIONS[e.key];
+    if (direction) {
+      e.preventDefault();
+      if (ball.pinned || physics.isHeld(ball)) return;
+      if (e.shiftKey) {
+        physics.flickBall(
+          ball,
+          direction.x * KEY_FLICK_DISTANCE,
+          direction.y * KEY_FLICK_DISTANCE
+        );
+        this.announce(`${getBallName(ball)} thrown ${direction.name}`);
+      } else {
+        const impulse = ball.mass * NUDGE_SPEED;
+        physics.applyImpulse(ball, direction.x * impulse, direction.y * impulse);
+      }
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      physics.handleTap(ball, ball.x, ball.y, e);
+    } else if (e.key === 'p' || e.key === 'P') {
+      e.preventDefault();
+      physics.togglePin(ball);
+    }
+  }
+
+  /**
+   * Have screen readers read a message. Messages in quick succession are
+   * combined, so a reset reads once rather than once per ball.
+   */
+  announce(message) {
+    this.pendingMessage = message;
+    if (this.announceTimer) return;
+    this.announceTimer = setTimeout(() => {
+      this.announceTimer = null;
+      this.addedCount = 0;
+      this.liveRegion.textContent = this.pendingMessage;
+    }, ANNOUNCE_DELAY);
+  }
+}
+
+// Allow require('./accessibility.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BallAccessibility, getBallName };
+}
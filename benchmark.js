@@ -0,0 +1,100 @@
+/**
+ * Collision Benchmark
+ *
+ * Fills a headless World with 100, 500 and 1000 balls and reports, per
+ * physics step, how many ball pairs were compared, how many collided and
+ * how long the step took, with the spatial hash on and off.
+ *
+ * Run from Node:
+ *   node benchmark.js            (100, 500 and 1000 balls)
+ *   node benchmark.js 200 2000   (custom ball counts)
+ *
+ * Or in the browser console after loading broadphase.js, world.js and this
+ * file: runBenchmark() / runBenchmark([100, 500]).
+ */
+
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./world.js'));
+}
+
+const BENCHMARK_RADIUS = 10;
+const BENCHMARK_WARMUP_STEPS = 120;
+const BENCHMARK_MEASURED_STEPS = 240;
+
+/**
+ * Build a world with `count` balls on a grid, sized so that about a third
+ * of the area is covered, and let them fall for a moment.
+ */
+function createBenchmarkWorld(count, broadPhase) {
+  const area = (count * Math.PI * BENCHMARK_RADIUS * BENCHMARK_RADIUS) / 0.3;
+  const height = Math.sqrt(area * 0.75);
+  const width = height / 0.75;
+  const world = new World({ width, height, broadPhase });
+
+  const columns = Math.floor(width / (BENCHMARK_RADIUS * 2));
+  for (let i = 0; i < count; i++) {
+    world.addBall({
+      x: BENCHMARK_RADIUS + (i % columns) * BENCHMARK_RADIUS * 2,
+      y: BENCHMARK_RADIUS + Math.floor(i / columns) * BENCHMARK_RADIUS * 2,
+      vx: (Math.random() - 0.5) * 600,
+      vy: (Math.random() - 0.5) * 600,
+      radius: BENCHMARK_RADIUS,
+      mass: Math.PI * BENCHMARK_RADIUS * BENCHMARK_RADIUS * 0.1,
+      rotation: 0,
+      vrotation: 0,
+      isDragging: false,
+    });
+  }
+
+  for (let i = 0; i < BENCHMARK_WARMUP_STEPS; i++) world.step();
+  return world;
+}
+
+/**
+ * Measure the average per-step cost for one ball count.
+ */
+function measureBenchmark(count, broadPhase) {
+  const world = createBenchmarkWorld(count, broadPhase);
+  let pairChecks = 0;
+  let collisions = 0;
+  let stepTime = 0;
+
+  for (let i = 0; i < BENCHMARK_MEASURED_STEPS; i++) {
+    world.step();
+    pairChecks += world.stats.pairChecks;
+    collisions += world.stats.collisions;
+    stepTime += world.stats.stepTime;
+  }
+
+  return {
+    balls: count,
+    broadPhase: broadPhase ? 'spatial hash' : 'all pairs',
+    pairChecksPerStep: Math.round(pairChecks / BENCHMARK_MEASURED_STEPS),
+    collisionsPerStep: Math.round(collisions / BENCHMARK_MEASURED_STEPS),
+    msPerStep: +(stepTime / BENCHMARK_MEASURED_STEPS).toFixed(3),
+  };
+}
+
+/**
+ * Run the benchmark for each ball count and print a table.
+ * @param {number[]} [counts]
+ * @returns {Object[]} One result row per count and broad phase
+ */
+function runBenchmark(counts = [100, 500, 1000]) {
+  const results = [];
+  counts.forEach((count) => {
+    results.push(measureBenchmark(count, true));
+    results.push(measureBenchmark(count, false));
+  });
+  console.table(results);
+  return results;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { runBenchmark };
+
+  if (require.main === module) {
+    const counts = process.argv.slice(2).map(Number).filter(Boolean);
+    runBenchmark(counts.length ? counts : undefined);
+  }
+}
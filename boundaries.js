@@ -0,0 +1,578 @@
+/**
+ * Container Boundaries
+ *
+ * The shape that keeps the balls in, fitted to the container's size:
+ * - rect:   the container's rectangle (the default). `radius` rounds its
+ *           corners; `rounded` is a rect whose radius BallPhysics reads
+ *           from the container's CSS border-radius.
+ * - circle: a round bowl, by default the largest circle that fits the
+ *           container; `x`, `y` and `radius` place it explicitly. `bowl`
+ *           is a circle with an open top.
+ * - path:   any closed outline, from SVG path data (`path`) or a list of
+ *           points (`points`). With a `viewBox` ("minX minY width height")
+ *           the outline is stretched to the container; without one it is
+ *           in px.
+ *
+ * Rects and circles take `openTop: true`. They then have no top (a circle
+ * keeps its lower half), so balls can be thrown out. A ball that passes over
+ * the rim's ends, or rises a container height above the rim, has escaped.
+ * The world then removes it.
+ *
+ * Every boundary implements:
+ * - setSize(width, height) -> fit to the container
+ * - getContacts(ball)      -> [{ normalX, normalY, depth }], one per wall
+ *                             the ball touches; the normal points from
+ *                             the ball's center into the wall, `depth` is
+ *                             how far the ball is in it
+ * - timeOfImpact(ball, maxTime) -> { time, normalX, normalY } for the first
+ *                             wall a moving ball reaches, or null
+ * - hasEscaped(ball)       -> whether the ball has left through the top
+ * - getDropRange(radius)   -> { minX, maxX }, where a ball of that radius
+ *                             can be dropped in from above
+ * - getOutline()           -> SVG path data to draw, or null when the
+ *                             container's own border shows the shape
+ * - toJSON()               -> the plain definition it can be rebuilt from
+ *
+ *   { "type": "circle" }
+ *   { "type": "rect", "radius": 40, "openTop": true }
+ *   { "type": "path", "path": "M0 0 L100 0 L50 100 Z", "viewBox": "0 0 100 100" }
+ */
+
+const NO_CONTACTS = [];
+
+/**
+ * Time until a point moving with velocity (vx, vy) from inside a circle
+ * reaches its edge, or null if that is not within `maxTime`.
+ */
+function circleExitTime(px, py, vx, vy, cx, cy, radius, maxTime) {
+  const dx = px - cx;
+  const dy = py - cy;
+  const a = vx * vx + vy * vy;
+  const b = 2 * (dx * vx + dy * vy);
+  const c = dx * dx + dy * dy - radius * radius;
+  if (a === 0) return null;
+
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return null;
+
+  const time = (-b + Math.sqrt(discriminant)) / (2 * a);
+  return time >= 0 && time <= maxTime ? time : null;
+}
+
+/**
+ * Points of SVG path data made of straight lines (M, L, H, V and Z, in
+ * absolute or relative form), or null for data with curves.
+ */
+function parseStraightPath(d) {
+  const tokens = d.match(/[a-zA-Z]|-?(\d+\.?\d*|\.\d+)(e-?\d+)?/g) || [];
+  if (tokens.some((token) => /[^MLHVZmlhvz\d.e-]/.test(token))) return null;
+
+  const points = [];
+  let x = 0;
+  let y = 0;
+  let command = 'M';
+  for (let i = 0; i < tokens.length; ) {
+    if (/[a-zA-Z]/.test(tokens[i])) command = tokens[i++];
+    const relative = command === command.toLowerCase();
+    const next = () => parseFloat(tokens[i++]);
+
+    switch (command.toUpperCase()) {
+      case 'M':
+      case 'L':
+        x = (relative ? x : 0) + next();
+        y = (relative ? y : 0) + next();
+        break;
+      case 'H':
+        x = (relative ? x : 0) + next();
+        break;
+      case 'V':
+        y = (relative ? y : 0) + next();
+        break;
+      default:
+        // Z closes the outline, which is always closed; stray numbers after
+        // it are skipped
+        if (i < tokens.length && !/[a-zA-Z]/.test(tokens[i])) i++;
+        continue;
+    }
+    points.push({ x, y });
+  }
+  return points;
+}
+
+/**
+ * Points along SVG path data. Curves need the browser's SVG geometry and
+ * are sampled every couple of path units.
+ */
+function pathToPoints(d) {
+  const straight = parseStraightPath(d);
+  if (straight) return straight;
+
+  const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+  path.setAttribute('d', d);
+  const length = path.getTotalLength();
+  const count = Math.min(400, Math.max(16, Math.ceil(length / 2)));
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const point = path.getPointAtLength((length * i) / count);
+    points.push({ x: point.x, y: point.y });
+  }
+  return points;
+}
+
+// Whether a point is inside a closed polygon (even-odd rule)
+function pointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Shared handling of an open top: the rim from (left, rimY) to
+ * (right, rimY) is the only thing a ball above it can touch.
+ */
+class Boundary {
+  constructor(type, { openTop = false } = {}) {
+    this.type = type;
+    this.openTop = openTop;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  hasEscaped(ball) {
+    if (!this.openTop || ball.y >= this.rimY) return false;
+    return (
+      ball.x < this.rimLeft ||
+      ball.x > this.rimRight ||
+      ball.y + ball.radius < this.rimY - this.height
+    );
+  }
+
+  getDropRange(radius) {
+    return { minX: this.rimLeft + radius, maxX: this.rimRight - radius };
+  }
+
+  // Whether a ball is above an open top, where only the rim's ends count
+  isAboveRim(ball) {
+    return this.openTop && ball.y < this.rimY;
+  }
+
+  getRimContacts(ball) {
+    const contacts = [];
+    [this.rimLeft, this.rimRight].forEach((x) => {
+      const contact = contactWithPoint(ball, x, this.rimY, 0);
+      if (contact) contacts.push(contact);
+    });
+    return contacts;
+  }
+
+  rimTimeOfImpact(ball, maxTime) {
+    let earliest = null;
+    [this.rimLeft, this.rimRight].forEach((x) => {
+      const time = circleTimeOfImpact(
+        ball.x,
+        ball.y,
+        ball.vx,
+        ball.vy,
+        x,
+        this.rimY,
+        ball.radius,
+        maxTime
+      );
+      if (time !== null && (!earliest || time < earliest.time)) {
+        const hitX = ball.x + ball.vx * time;
+        const hitY = ball.y + ball.vy * time;
+        earliest = {
+          time,
+          normalX: (x - hitX) / ball.radius,
+          normalY: (this.rimY - hitY) / ball.radius,
+        };
+      }
+    });
+    return earliest;
+  }
+}
+
+class RectBoundary extends Boundary {
+  constructor({ radius = 0, openTop } = {}) {
+    super('rect', { openTop });
+    this.radius = radius;
+  }
+
+  setSize(width, height) {
+    super.setSize(width, height);
+    this.rimY = 0;
+    this.rimLeft = 0;
+    this.rimRight = width;
+    this.cornerRadius = Math.min(this.radius, width / 2, height / 2);
+  }
+
+  toJSON() {
+    return { type: 'rect', radius: this.radius, openTop: this.openTop };
+  }
+
+  // The container's border already shows the shape
+  getOutline() {
+    return null;
+  }
+
+  getContacts(ball) {
+    if (this.isAboveRim(ball)) return this.getRimContacts(ball);
+
+    const corner = this.getCornerContact(ball);
+    if (corner !== undefined) return corner ? [corner] : NO_CONTACTS;
+
+    const { x, y, radius } = ball;
+    let contacts = NO_CONTACTS;
+    const add = (normalX, normalY, depth) => {
+      if (contacts === NO_CONTACTS) contacts = [];
+      contacts.push({ normalX, normalY, depth });
+    };
+
+    if (x - radius <= 0) {
+      add(-1, 0, radius - x);
+    } else if (x + radius >= this.width) {
+      add(1, 0, x + radius - this.width);
+    }
+    if (y - radius <= 0 && !this.openTop) {
+      add(0, -1, radius - y);
+    } else if (y + radius >= this.height) {
+      add(0, 1, y + radius - this.height);
+    }
+    return contacts;
+  }
+
+  /**
+   * The rounded corner whose zone the ball's center is in, as the circle
+   * its center must stay within: { x, y, limit }, or null. Balls at least
+   * as big as the corner touch the straight sides first.
+   */
+  getCorner(px, py, radius) {
+    const r = this.cornerRadius;
+    if (r <= radius) return null;
+
+    const left = px < r;
+    const right = px > this.width - r;
+    const top = py < r && !this.openTop;
+    const bottom = py > this.height - r;
+    if (!(left || right) || !(top || bottom)) return null;
+
+    return {
+      x: left ? r : this.width - r,
+      y: top ? r : this.height - r,
+      limit: r - radius,
+    };
+  }
+
+  /**
+   * Contact with a rounded corner: the contact or null when the ball is in
+   * a corner's zone, undefined when it is not (the straight sides apply).
+   */
+  getCornerContact(ball) {
+    const corner = this.getCorner(ball.x, ball.y, ball.radius);
+    if (!corner) return undefined;
+
+    const dx = ball.x - corner.x;
+    const dy = ball.y - corner.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance < corner.limit) return null;
+    return {
+      normalX: dx / distance,
+      normalY: dy / distance,
+      depth: distance - corner.limit,
+    };
+  }
+
+  /**
+   * The straight sides only; a hit that lands in a rounded corner is left
+   * to getContacts() at the end of the step.
+   */
+  timeOfImpact(ball, maxTime) {
+    if (this.isAboveRim(ball)) return this.rimTimeOfImpact(ball, maxTime);
+
+    let earliest = null;
+    const consider = (time, normalX, normalY) => {
+      if (time < 0 || time > maxTime || (earliest && time >= earliest.time)) {
+        return;
+      }
+      const hitX = ball.x + ball.vx * time;
+      const hitY = ball.y + ball.vy * time;
+      if (this.openTop && hitY < this.rimY) return;
+      if (this.getCorner(hitX, hitY, ball.radius)) return;
+      earliest = { time, normalX, normalY };
+    };
+
+    if (ball.vx < 0) {
+      consider((ball.radius - ball.x) / ball.vx, -1, 0);
+    } else if (ball.vx > 0) {
+      consider((this.width - ball.radius - ball.x) / ball.vx, 1, 0);
+    }
+    if (ball.vy < 0 && !this.openTop) {
+      consider((ball.radius - ball.y) / ball.vy, 0, -1);
+    } else if (ball.vy > 0) {
+      consider((this.height - ball.radius - ball.y) / ball.vy, 0, 1);
+    }
+    return earliest;
+  }
+}
+
+class CircleBoundary extends Boundary {
+  constructor({ x, y, radius, openTop } = {}) {
+    super('circle', { openTop });
+    this.x = x;
+    this.y = y;
+    this.radius = radius;
+  }
+
+  setSize(width, height) {
+    super.setSize(width, height);
+    this.centerX = this.x ?? width / 2;
+    this.centerY = this.y ?? height / 2;
+    this.outerRadius = this.radius ?? Math.min(width, height) / 2;
+    this.rimY = this.centerY;
+    this.rimLeft = this.centerX - this.outerRadius;
+    this.rimRight = this.centerX + this.outerRadius;
+  }
+
+  toJSON() {
+    const { x, y, radius, openTop } = this;
+    return { type: 'circle', x, y, radius, openTop };
+  }
+
+  getOutline() {
+    const r = this.outerRadius;
+    const left = `${this.rimLeft} ${this.centerY}`;
+    const right = `${this.rimRight} ${this.centerY}`;
+    const arc = `A ${r} ${r} 0 0 0`;
+    return this.openTop
+      ? `M ${left} ${arc} ${right}`
+      : `M ${left} ${arc} ${right} ${arc} ${left} Z`;
+  }
+
+  getContacts(ball) {
+    if (this.isAboveRim(ball)) return this.getRimContacts(ball);
+
+    const dx = ball.x - this.centerX;
+    const dy = ball.y - this.centerY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const depth = distance + ball.radius - this.outerRadius;
+    if (depth < 0) return NO_CONTACTS;
+
+    // A ball too big for the bowl rests at its bottom
+    if (distance === 0) return [{ normalX: 0, normalY: 1, depth }];
+    return [{ normalX: dx / distance, normalY: dy / distance, depth }];
+  }
+
+  timeOfImpact(ball, maxTime) {
+    if (this.isAboveRim(ball)) return this.rimTimeOfImpact(ball, maxTime);
+
+    const time = circleExitTime(
+      ball.x,
+      ball.y,
+      ball.vx,
+      ball.vy,
+      this.centerX,
+      this.centerY,
+      this.outerRadius - ball.radius,
+      maxTime
+    );
+    if (time === null) return null;
+
+    const dx = ball.x + ball.vx * time - this.centerX;
+    const dy = ball.y + ball.vy * time - this.centerY;
+    if (this.openTop && dy < 0) return null;
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    return { time, normalX: dx / distance, normalY: dy / distance };
+  }
+}
+
+class PathBoundary extends Boundary {
+  constructor({ path, points, viewBox }) {
+    super('path');
+    this.path = path;
+    this.points = points;
+    this.viewBox = viewBox;
+    this.shape = path
+      ? pathToPoints(path)
+      : points.map((p) => (Array.isArray(p) ? { x: p[0], y: p[1] } : p));
+  }
+
+  setSize(width, height) {
+    super.setSize(width, height);
+
+    let toContainer = (p) => ({ x: p.x, y: p.y });
+    if (this.viewBox) {
+      const [minX, minY, boxWidth, boxHeight] = String(this.viewBox)
+        .split(/[\s,]+/)
+        .map(parseFloat);
+      toContainer = (p) => ({
+        x: ((p.x - minX) / boxWidth) * width,
+        y: ((p.y - minY) / boxHeight) * height,
+      });
+    }
+
+    this.outline = this.shape.map(toContainer);
+    this.edges = this.outline.map((a, i) => {
+      const b = this.outline[(i + 1) % this.outline.length];
+      return {
+        x1: a.x,
+        y1: a.y,
+        x2: b.x,
+        y2: b.y,
+        minX: Math.min(a.x, b.x),
+        minY: Math.min(a.y, b.y),
+        maxX: Math.max(a.x, b.x),
+        maxY: Math.max(a.y, b.y),
+      };
+    });
+  }
+
+  getDropRange(radius) {
+    const xs = this.outline.map((p) => p.x);
+    return { minX: Math.min(...xs) + radius, maxX: Math.max(...xs) - radius };
+  }
+
+  toJSON() {
+    const { path, points, viewBox } = this;
+    return { type: 'path', path, points, viewBox };
+  }
+
+  getOutline() {
+    return (
+      this.outline.map((p, i) => (i === 0 ? 'M' : 'L') + ` ${p.x} ${p.y}`).join(' ') +
+      ' Z'
+    );
+  }
+
+  getContacts(ball) {
+    const { x, y, radius } = ball;
+
+    // A ball pushed out (by a resize or a tunnel) returns via the nearest wall
+    if (!pointInPolygon(x, y, this.outline)) {
+      let nearest = null;
+      this.edges.forEach((edge) => {
+        const point = closestPointOnSegment(x, y, edge.x1, edge.y1, edge.x2, edge.y2);
+        const distance = Math.sqrt((x - point.x) ** 2 + (y - point.y) ** 2);
+        if (!nearest || distance < nearest.distance) {
+          nearest = { point, distance };
+        }
+      });
+      const { point, distance } = nearest;
+      if (distance === 0) return NO_CONTACTS;
+      return [
+        {
+          normalX: (x - point.x) / distance,
+          normalY: (y - point.y) / distance,
+          depth: distance + radius,
+        },
+      ];
+    }
+
+    let contacts = NO_CONTACTS;
+    this.edges.forEach((edge) => {
+      if (
+        x + radius < edge.minX ||
+        x - radius > edge.maxX ||
+        y + radius < edge.minY ||
+        y - radius > edge.maxY
+      ) {
+        return;
+      }
+      const point = closestPointOnSegment(x, y, edge.x1, edge.y1, edge.x2, edge.y2);
+      // A corner is reported once, by the edge it starts
+      if (
+        Math.abs(point.x - edge.x2) < 1e-9 &&
+        Math.abs(point.y - edge.y2) < 1e-9
+      ) {
+        return;
+      }
+
+      const dx = point.x - x;
+      const dy = point.y - y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance > radius || distance === 0) return;
+      if (contacts === NO_CONTACTS) contacts = [];
+      contacts.push({
+        normalX: dx / distance,
+        normalY: dy / distance,
+        depth: radius - distance,
+      });
+    });
+    return contacts;
+  }
+
+  timeOfImpact(ball, maxTime) {
+    let earliest = null;
+    this.edges.forEach((edge) => {
+      const time = segmentTimeOfImpact(
+        ball,
+        edge.x1,
+        edge.y1,
+        edge.x2,
+        edge.y2,
+        0,
+        maxTime
+      );
+      if (time === null || (earliest && time >= earliest.time)) return;
+
+      const hitX = ball.x + ball.vx * time;
+      const hitY = ball.y + ball.vy * time;
+      const point = closestPointOnSegment(
+        hitX,
+        hitY,
+        edge.x1,
+        edge.y1,
+        edge.x2,
+        edge.y2
+      );
+      const dx = point.x - hitX;
+      const dy = point.y - hitY;
+      const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+      earliest = { time, normalX: dx / distance, normalY: dy / distance };
+    });
+    return earliest;
+  }
+}
+
+/**
+ * Build a boundary from a plain definition (see the top of this file) or
+ * just its type name.
+ * @throws {Error} For an unknown type
+ */
+function createBoundary(definition = { type: 'rect' }) {
+  if (typeof definition === 'string') definition = { type: definition };
+
+  switch (definition.type) {
+    case 'rect':
+    case 'rounded':
+      return new RectBoundary(definition);
+    case 'circle':
+      return new CircleBoundary(definition);
+    case 'bowl':
+      return new CircleBoundary({ openTop: true, ...definition });
+    case 'path':
+      return new PathBoundary(definition);
+    default:
+      throw new Error(`Unknown boundary type: ${definition.type}`);
+  }
+}
+
+// Allow require('./boundaries.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RectBoundary,
+    CircleBoundary,
+    PathBoundary,
+    createBoundary,
+  };
+}
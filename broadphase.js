@@ -0,0 +1,142 @@
+/**
+ * Spatial Hash Broad Phase
+ *
+ * Buckets balls into a uniform grid so collision detection only compares
+ * balls in the same or neighbouring cells instead of every pair. With the
+ * cell size at least one ball diameter, any two touching balls are always
+ * in the same cell or in adjacent ones.
+ *
+ * Usage:
+ *   hash.rebuild(balls);
+ *   hash.forEachPair((ball1, ball2) => { ... });
+ *   hash.forEachInBox(minX, minY, maxX, maxY, (ball) => { ... });
+ */
+
+// Cells visited from each cell so every neighbouring pair is seen exactly once
+const FORWARD_NEIGHBOURS = [
+  [1, 0],
+  [-1, 1],
+  [0, 1],
+  [1, 1],
+];
+
+class SpatialHash {
+  /**
+   * @param {number} [cellSize] - Fixed cell size in px. When omitted the
+   *   size follows the largest ball diameter on every rebuild.
+   */
+  constructor(cellSize) {
+    this.fixedCellSize = cellSize || 0;
+    this.cellSize = cellSize || 64;
+    this.cells = new Map();
+  }
+
+  // Pack integer cell coordinates into one Map key. Keys wrap around
+  // every 65536 cells, so cells sharing a key are chained by `next`.
+  key(cx, cy) {
+    return ((cx & 0xffff) << 16) | (cy & 0xffff);
+  }
+
+  forEachCell(callback) {
+    this.cells.forEach((first) => {
+      for (let cell = first; cell; cell = cell.next) callback(cell);
+    });
+  }
+
+  getCell(cx, cy) {
+    let cell = this.cells.get(this.key(cx, cy));
+    while (cell && (cell.cx !== cx || cell.cy !== cy)) cell = cell.next;
+    return cell || null;
+  }
+
+  /**
+   * Re-bucket all balls by the cell containing their center.
+   */
+  rebuild(balls) {
+    if (!this.fixedCellSize) {
+      let maxRadius = 1;
+      balls.forEach((ball) => {
+        if (ball.radius > maxRadius) maxRadius = ball.radius;
+      });
+      this.cellSize = maxRadius * 2;
+    }
+
+    this.cells.clear();
+    balls.forEach((ball) => {
+      const cx = Math.floor(ball.x / this.cellSize);
+      const cy = Math.floor(ball.y / this.cellSize);
+      let cell = this.getCell(cx, cy);
+      if (!cell) {
+        const key = this.key(cx, cy);
+        cell = { cx, cy, balls: [], next: this.cells.get(key) || null };
+        this.cells.set(key, cell);
+      }
+      cell.balls.push(ball);
+    });
+  }
+
+  /**
+   * Call back with every candidate pair: balls in the same cell or in
+   * adjacent cells. Candidates may still be too far apart to touch.
+   * @param {function(Object, Object)} callback
+   */
+  forEachPair(callback) {
+    this.forEachCell((cell) => {
+      const own = cell.balls;
+
+      for (let i = 0; i < own.length; i++) {
+        for (let j = i + 1; j < own.length; j++) {
+          callback(own[i], own[j]);
+        }
+      }
+
+      FORWARD_NEIGHBOURS.forEach(([ox, oy]) => {
+        const neighbour = this.getCell(cell.cx + ox, cell.cy + oy);
+        if (!neighbour) return;
+
+        for (let i = 0; i < own.length; i++) {
+          for (let j = 0; j < neighbour.balls.length; j++) {
+            callback(own[i], neighbour.balls[j]);
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Call back with every ball whose center lies in a cell overlapping a
+   * box. Callers pad the box by the radius of the balls they look for.
+   * @param {function(Object)} callback
+   */
+  forEachInBox(minX, minY, maxX, maxY, callback) {
+    const minCx = Math.floor(minX / this.cellSize);
+    const minCy = Math.floor(minY / this.cellSize);
+    const maxCx = Math.floor(maxX / this.cellSize);
+    const maxCy = Math.floor(maxY / this.cellSize);
+    const inBox = (cell) =>
+      cell.cx >= minCx &&
+      cell.cx <= maxCx &&
+      cell.cy >= minCy &&
+      cell.cy <= maxCy;
+
+    // A long box covers more cells than there are balls in; walk those
+    if ((maxCx - minCx + 1) * (maxCy - minCy + 1) > this.cells.size) {
+      this.forEachCell((cell) => {
+        if (inBox(cell)) cell.balls.forEach(callback);
+      });
+      return;
+    }
+
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        const cell = this.getCell(cx, cy);
+        if (cell) cell.balls.forEach(callback);
+      }
+    }
+  }
+}
+
+// Allow require('./broadphase.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SpatialHash };
+}
@@ -0,0 +1,413 @@
+/**
+ * Canvas Renderer
+ *
+ * Draws all balls onto a single <canvas> laid over the container instead of
+ * moving one DOM element per ball, which keeps large scenes off the layout
+ * and compositing path. Implements the same interface as DomRenderer.
+ *
+ * Ball bodies (color or gradient + drop shadow), SVG icons, images and
+ * labels are rasterized once per size into offscreen canvases and then
+ * blitted every frame. Custom HTML content cannot be drawn on a canvas and
+ * is left out.
+ */
+
+// Drop shadow matching the `.ball` box-shadow in style.css
+const CANVAS_SHADOW = { offsetY: 4, blur: 15, color: 'rgba(0, 0, 0, 0.3)' };
+// Icon size relative to the ball, matching `.ball svg` in style.css
+const CANVAS_ICON_SCALE = 0.6;
+// Selection ring, hover ring and pin marker, matching `.ball.selected`,
+// `.ball.hovered` and `.ball.pinned` in style.css
+const CANVAS_SELECTED_COLOR = '#fff';
+const CANVAS_HOVERED_COLOR = 'rgba(255, 255, 255, 0.5)';
+const CANVAS_PIN_COLOR = 'rgba(0, 0, 0, 0.55)';
+const CANVAS_PIN_SIZE = 10;
+// Label color and shadow, matching `.ball-label` in style.css
+const CANVAS_LABEL_COLOR = '#fff';
+const CANVAS_LABEL_SHADOW = {
+  offsetY: 1,
+  blur: 3,
+  color: 'rgba(0, 0, 0, 0.4)',
+};
+// Obstacle fill and stroke, matching `.obstacle-shape` in style.css
+const CANVAS_OBSTACLE_COLOR = 'rgba(255, 255, 255, 0.35)';
+// Boundary outline, matching `.boundary-shape` in style.css
+const CANVAS_BOUNDARY_FILL = 'rgba(255, 255, 255, 0.08)';
+const CANVAS_BOUNDARY_STROKE = 'rgba(255, 255, 255, 0.5)';
+// Constraint stroke and widths, matching `.constraint` in style.css
+const CANVAS_CONSTRAINT_COLOR = 'rgba(255, 255, 255, 0.7)';
+const CANVAS_CONSTRAINT_WIDTHS = { rod: 3, rope: 1.5, spring: 1.5 };
+
+class CanvasRenderer {
+  constructor(container) {
+    this.container = container;
+    this.pixelRatio = window.devicePixelRatio || 1;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'ball-canvas';
+    this.container.appendChild(this.canvas);
+    this.context = this.canvas.getContext('2d');
+
+    this.bodySprites = new Map(); // "color|size" -> canvas
+    this.images = new Map(); // URL -> Image
+    this.iconSprites = new Map(); // "svg|size" -> canvas
+    this.imageSprites = new Map(); // "url|size" -> canvas
+    this.labelSprites = new Map(); // "label|size" -> canvas
+    this.ballContents = new WeakMap(); // ball -> { svg, image, label }
+    this.ballScales = new WeakMap(); // ball -> { scale } while popping in
+    this.obstacles = [];
+    this.boundaryOutline = null; // Path2D of a non-rectangular boundary
+  }
+
+  measure() {
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+
+    // Keep the backing store in sync with the container and screen density
+    this.canvas.width = Math.round(width * this.pixelRatio);
+    this.canvas.height = Math.round(height * this.pixelRatio);
+    this.canvas.style.width = width + 'px';
+    this.canvas.style.height = height + 'px';
+
+    return { width, height };
+  }
+
+  // Balls have no element of their own on the canvas
+  createBallElement() {
+    return null;
+  }
+
+  /**
+   * Register a ball for drawing. Balls declared in the markup keep their
+   * element as a placeholder, hidden so only the canvas shows.
+   * @param {Object} ball - Ball state
+   * @param {Object} [options]
+   * @param {Object} [options.content] - Icon markup, image and label to
+   *   draw inside the ball ({ svg, image, label })
+   * @param {boolean} [options.animateIn] - Pop the ball in with a scale tween
+   */
+  mountBall(ball, options = {}) {
+    if (ball.element) ball.element.style.display = 'none';
+    if (options.content) this.ballContents.set(ball, options.content);
+
+    if (options.animateIn) {
+      const state = { scale: 0 };
+      this.ballScales.set(ball, state);
+      gsap.to(state, {
+        scale: 1,
+        duration: 0.3,
+        ease: 'back.out(1.7)',
+        onComplete: () => this.ballScales.delete(ball),
+      });
+    }
+  }
+
+  /**
+   * Draw every ball at its current state.
+   * @param {Array} balls
+   * @param {number} [alpha] - Interpolation factor (see World.advance)
+   * @param {Array} [constraints] - Rods, ropes and springs to draw
+   */
+  render(balls, alpha = 1, constraints = []) {
+    const ctx = this.context;
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.drawBoundary();
+    this.drawObstacles();
+    this.drawConstraints(constraints, alpha);
+
+    balls.forEach((ball) => {
+      const pose = interpolateBall(ball, alpha);
+      const popIn = this.ballScales.get(ball);
+
+      ctx.save();
+      ctx.translate(pose.x, pose.y);
+      if (popIn) ctx.scale(popIn.scale, popIn.scale);
+      if (ball.squash) {
+        const angle = (ball.squash.angle * Math.PI) / 180;
+        const { along, across } = squashScales(ball.squash.amount);
+        ctx.rotate(angle);
+        ctx.scale(along, across);
+        ctx.rotate(-angle);
+      }
+
+      const body = this.getBodySprite(ball.gradient || ball.color, ball.size);
+      const bodySize = body.width / this.pixelRatio;
+      ctx.drawImage(body, -bodySize / 2, -bodySize / 2, bodySize, bodySize);
+
+      if (ball.selected || ball.focused || ball.hovered) {
+        this.drawRing(ball);
+      }
+
+      const content = this.ballContents.get(ball);
+      if (content) {
+        ctx.rotate((pose.rotation * Math.PI) / 180);
+        this.drawContent(content, ball.size);
+      }
+      if (ball.pinned) this.drawPin();
+
+      ctx.restore();
+    });
+  }
+
+  // Outline a selected, focused or hovered ball centered on the current
+  // origin
+  drawRing(ball) {
+    const ctx = this.context;
+    const strong = ball.selected || ball.focused;
+    const width = strong ? 3 : 2;
+    ctx.strokeStyle = strong
+      ? CANVAS_SELECTED_COLOR
+      : CANVAS_HOVERED_COLOR;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    ctx.arc(0, 0, ball.radius + width / 2, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  // The pin head in the middle of a pinned ball
+  drawPin() {
+    const ctx = this.context;
+    ctx.fillStyle = CANVAS_PIN_COLOR;
+    ctx.strokeStyle = CANVAS_SELECTED_COLOR;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, CANVAS_PIN_SIZE / 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  // Draw a ball's image, icon and label centered on the current origin
+  drawContent({ svg, image, label }, size) {
+    const ctx = this.context;
+    const draw = (sprite, spriteSize) => {
+      if (!sprite) return;
+      const offset = -spriteSize / 2;
+      ctx.drawImage(sprite, offset, offset, spriteSize, spriteSize);
+    };
+
+    if (image) draw(this.getImageSprite(image, size), size);
+    if (svg) {
+      const iconSize = size * CANVAS_ICON_SCALE;
+      draw(this.getIconSprite(svg, iconSize), iconSize);
+    }
+    if (label) draw(this.getLabelSprite(label, size), size);
+  }
+
+  // Obstacles are drawn with every frame, under the balls
+  renderObstacles(obstacles) {
+    this.obstacles = obstacles.slice();
+  }
+
+  renderBoundary(boundary) {
+    const outline = boundary.getOutline();
+    this.boundaryOutline = outline ? new Path2D(outline) : null;
+  }
+
+  drawBoundary() {
+    if (!this.boundaryOutline) return;
+    const ctx = this.context;
+    ctx.fillStyle = CANVAS_BOUNDARY_FILL;
+    ctx.strokeStyle = CANVAS_BOUNDARY_STROKE;
+    ctx.lineWidth = 2;
+    ctx.fill(this.boundaryOutline);
+    ctx.stroke(this.boundaryOutline);
+  }
+
+  drawObstacles() {
+    const ctx = this.context;
+    ctx.fillStyle = CANVAS_OBSTACLE_COLOR;
+    ctx.strokeStyle = CANVAS_OBSTACLE_COLOR;
+    ctx.lineCap = 'round';
+
+    this.obstacles.forEach((obstacle) => {
+      ctx.beginPath();
+      if (obstacle.type === 'circle') {
+        ctx.arc(obstacle.x, obstacle.y, obstacle.radius, 0, Math.PI * 2);
+        ctx.fill();
+      } else if (obstacle.type === 'segment') {
+        ctx.lineWidth = obstacle.thickness;
+        ctx.moveTo(obstacle.x1, obstacle.y1);
+        ctx.lineTo(obstacle.x2, obstacle.y2);
+        ctx.stroke();
+      } else if (obstacle.type === 'polygon') {
+        obstacle.points.forEach((p, i) => {
+          if (i === 0) ctx.moveTo(p.x, p.y);
+          else ctx.lineTo(p.x, p.y);
+        });
+        ctx.closePath();
+        ctx.fill();
+      }
+    });
+  }
+
+  drawConstraints(constraints, alpha) {
+    const ctx = this.context;
+    ctx.strokeStyle = CANVAS_CONSTRAINT_COLOR;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    constraints.forEach((constraint) => {
+      const a = interpolateBall(constraint.a, alpha);
+      const b = interpolateBall(constraint.b, alpha);
+      const points = constraint.type === 'spring' ? springPoints(a, b) : [a, b];
+
+      ctx.lineWidth = CANVAS_CONSTRAINT_WIDTHS[constraint.type] || 1.5;
+      ctx.beginPath();
+      points.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+      });
+      ctx.stroke();
+    });
+  }
+
+  removeBall(ball) {
+    if (ball.element) ball.element.remove();
+    this.ballContents.delete(ball);
+  }
+
+  // Remove placeholder ball elements, keeping the canvas
+  clear() {
+    this.container.querySelectorAll('.ball').forEach((el) => el.remove());
+  }
+
+  /**
+   * A pre-rendered filled circle with drop shadow, centered in a square
+   * canvas padded for the shadow.
+   * @param {string|Array<string>} fill - A color, or gradient colors
+   */
+  getBodySprite(fill, size) {
+    const key = [].concat(fill).join(',') + '|' + size;
+    let sprite = this.bodySprites.get(key);
+    if (sprite) return sprite;
+
+    const padding = CANVAS_SHADOW.blur + CANVAS_SHADOW.offsetY;
+    const spriteSize = size + padding * 2;
+    sprite = this.createSpriteCanvas(spriteSize);
+
+    const ctx = sprite.getContext('2d');
+    ctx.scale(this.pixelRatio, this.pixelRatio);
+    ctx.shadowColor = CANVAS_SHADOW.color;
+    ctx.shadowBlur = CANVAS_SHADOW.blur;
+    ctx.shadowOffsetY = CANVAS_SHADOW.offsetY;
+    const center = spriteSize / 2;
+    if (Array.isArray(fill)) {
+      // Corner to corner, like the DOM renderer's 135deg linear-gradient
+      const r = size / 2;
+      const gradient = ctx.createLinearGradient(
+        center - r,
+        center - r,
+        center + r,
+        center + r
+      );
+      const last = Math.max(1, fill.length - 1);
+      fill.forEach((color, i) => gradient.addColorStop(i / last, color));
+      ctx.fillStyle = gradient;
+    } else {
+      ctx.fillStyle = fill;
+    }
+    ctx.beginPath();
+    ctx.arc(center, center, size / 2, 0, Math.PI * 2);
+    ctx.fill();
+
+    this.bodySprites.set(key, sprite);
+    return sprite;
+  }
+
+  /**
+   * An image by URL, or null while it is still loading (balls are drawn
+   * without it until then).
+   */
+  loadImage(src) {
+    let image = this.images.get(src);
+    if (!image) {
+      image = new Image();
+      image.src = src;
+      this.images.set(src, image);
+    }
+    return image.complete && image.naturalWidth ? image : null;
+  }
+
+  // A rasterized icon at the given size, or null while it is loading
+  getIconSprite(svg, size) {
+    const key = svg + '|' + size;
+    let sprite = this.iconSprites.get(key);
+    if (sprite) return sprite;
+
+    const image = this.loadImage(
+      'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg)
+    );
+    if (!image) return null;
+
+    sprite = this.createSpriteCanvas(size);
+    const ctx = sprite.getContext('2d');
+    ctx.drawImage(image, 0, 0, sprite.width, sprite.height);
+
+    this.iconSprites.set(key, sprite);
+    return sprite;
+  }
+
+  /**
+   * An image cropped to a circle the size of the ball (filling it like
+   * object-fit: cover), or null while it is loading.
+   */
+  getImageSprite(src, size) {
+    const key = src + '|' + size;
+    let sprite = this.imageSprites.get(key);
+    if (sprite) return sprite;
+
+    const image = this.loadImage(src);
+    if (!image) return null;
+
+    sprite = this.createSpriteCanvas(size);
+    const ctx = sprite.getContext('2d');
+    const side = sprite.width;
+    ctx.beginPath();
+    ctx.arc(side / 2, side / 2, side / 2, 0, Math.PI * 2);
+    ctx.clip();
+    const scale = side / Math.min(image.naturalWidth, image.naturalHeight);
+    const width = image.naturalWidth * scale;
+    const height = image.naturalHeight * scale;
+    const left = (side - width) / 2;
+    const top = (side - height) / 2;
+    ctx.drawImage(image, left, top, width, height);
+
+    this.imageSprites.set(key, sprite);
+    return sprite;
+  }
+
+  // A label fitted into a ball of the given size (see fitLabel)
+  getLabelSprite(label, size) {
+    const key = label + '|' + size;
+    let sprite = this.labelSprites.get(key);
+    if (sprite) return sprite;
+
+    sprite = this.createSpriteCanvas(size);
+    const ctx = sprite.getContext('2d');
+    ctx.scale(this.pixelRatio, this.pixelRatio);
+
+    const { lines, fontSize } = fitLabel(label, size);
+    const lineHeight = fontSize * LABEL_LINE_HEIGHT;
+    ctx.font = labelFont(fontSize);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = CANVAS_LABEL_COLOR;
+    ctx.shadowColor = CANVAS_LABEL_SHADOW.color;
+    ctx.shadowBlur = CANVAS_LABEL_SHADOW.blur;
+    ctx.shadowOffsetY = CANVAS_LABEL_SHADOW.offsetY;
+    const top = size / 2 - ((lines.length - 1) * lineHeight) / 2;
+    lines.forEach((line, i) => {
+      ctx.fillText(line, size / 2, top + i * lineHeight);
+    });
+
+    this.labelSprites.set(key, sprite);
+    return sprite;
+  }
+
+  createSpriteCanvas(size) {
+    const sprite = document.createElement('canvas');
+    sprite.width = Math.ceil(size * this.pixelRatio);
+    sprite.height = Math.ceil(size * this.pixelRatio);
+    return sprite;
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Constraints
+ *
+ * Links that hold a ball at a distance from another ball or from a fixed
+ * point in the container, for pendulums, chains, Newton's cradles and
+ * soft bodies built from ordinary balls:
+ * - rod:    keeps the distance exactly `length` (a rigid, massless link)
+ * - rope:   keeps the distance at most `length`; slack when shorter
+ * - spring: pulls towards `length` with a damped spring that oscillates at
+ *           `frequency` Hz; `dampingRatio` 1 settles without overshoot.
+ *           Both are independent of the balls' masses.
+ *
+ * Every constraint implements:
+ * - applyForce(dt) -> change the ends' velocities once per step, before
+ *                     the balls move (springs)
+ * - solve()        -> one relaxation pass pulling the ends back to the
+ *                     allowed distance (rods and ropes); the world runs
+ *                     several per step so chains settle
+ * - getEnds()      -> { a, b }, the two ends (balls or anchor points)
+ * - toJSON()       -> the plain definition it can be rebuilt from
+ *
+ * Constraints are usually created from plain definitions that refer to
+ * balls by id; `x`/`y` instead of `b` anchor the second end in place:
+ *   { "type": "rod", "a": 1, "x": 320, "y": 40 }
+ *   { "type": "spring", "a": 1, "b": 2, "length": 80, "frequency": 3 }
+ * `length` defaults to the ends' distance when the constraint is made.
+ */
+
+// Resistance of one end to being moved: 0 for anchors and for held or
+// sleeping balls
+function inverseMass(end) {
+  return end.mass && !end.isDragging && !end.sleeping ? 1 / end.mass : 0;
+}
+
+class Constraint {
+  /**
+   * @param {Object} a - Ball at the first end
+   * @param {Object} b - Ball or fixed {x, y} point at the second end
+   * @param {number} [length] - Rest length in px
+   */
+  constructor(type, a, b, length) {
+    this.type = type;
+    this.a = a;
+    this.b = b;
+    this.length = length ?? this.getDistance();
+  }
+
+  getEnds() {
+    return { a: this.a, b: this.b };
+  }
+
+  getDistance() {
+    const dx = this.b.x - this.a.x;
+    const dy = this.b.y - this.a.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  // Does nothing unless overridden
+  applyForce(dt) {}
+
+  solve() {}
+
+  toJSON() {
+    const definition = { type: this.type, a: this.a.id, length: this.length };
+    if (this.b.id !== undefined) {
+      definition.b = this.b.id;
+    } else {
+      definition.x = this.b.x;
+      definition.y = this.b.y;
+    }
+    return definition;
+  }
+
+  /**
+   * The unit axis from a to b and the ends' combined inverse mass, or
+   * null when neither end can move or the ends coincide.
+   */
+  getAxis() {
+    const weightA = inverseMass(this.a);
+    const weightB = inverseMass(this.b);
+    const dx = this.b.x - this.a.x;
+    const dy = this.b.y - this.a.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (weightA + weightB === 0 || distance === 0) return null;
+
+    return {
+      normalX: dx / distance,
+      normalY: dy / distance,
+      distance,
+      weightA,
+      weightB,
+      totalWeight: weightA + weightB,
+    };
+  }
+
+  // Speed at which the ends move apart along the axis
+  getSeparatingSpeed(axis) {
+    const vx = (this.b.vx || 0) - (this.a.vx || 0);
+    const vy = (this.b.vy || 0) - (this.a.vy || 0);
+    return vx * axis.normalX + vy * axis.normalY;
+  }
+
+  /**
+   * Change the separating speed by `delta`, shared between the ends by
+   * their inverse mass so momentum is conserved.
+   */
+  changeSeparatingSpeed(axis, delta) {
+    const shareA = (delta * axis.weightA) / axis.totalWeight;
+    const shareB = (delta * axis.weightB) / axis.totalWeight;
+    this.a.vx -= axis.normalX * shareA;
+    this.a.vy -= axis.normalY * shareA;
+    if (axis.weightB) {
+      this.b.vx += axis.normalX * shareB;
+      this.b.vy += axis.normalY * shareB;
+    }
+  }
+
+  /**
+   * Move the ends to the given distance and cancel the speed that would
+   * take them away from it again.
+   */
+  correct(axis, targetDistance) {
+    const error = axis.distance - targetDistance;
+    const shareA = (error * axis.weightA) / axis.totalWeight;
+    const shareB = (error * axis.weightB) / axis.totalWeight;
+    this.a.x += axis.normalX * shareA;
+    this.a.y += axis.normalY * shareA;
+    if (axis.weightB) {
+      this.b.x -= axis.normalX * shareB;
+      this.b.y -= axis.normalY * shareB;
+    }
+
+    const speed = this.getSeparatingSpeed(axis);
+    if (error * speed > 0) this.changeSeparatingSpeed(axis, -speed);
+  }
+}
+
+class RodConstraint extends Constraint {
+  constructor(a, b, { length } = {}) {
+    super('rod', a, b, length);
+  }
+
+  solve() {
+    const axis = this.getAxis();
+    if (axis) this.correct(axis, this.length);
+  }
+}
+
+class RopeConstraint extends Constraint {
+  constructor(a, b, { length } = {}) {
+    super('rope', a, b, length);
+  }
+
+  // Only a taut rope pulls
+  solve() {
+    const axis = this.getAxis();
+    if (axis && axis.distance > this.length) this.correct(axis, this.length);
+  }
+}
+
+class SpringConstraint extends Constraint {
+  constructor(a, b, { length, frequency = 2, dampingRatio = 0.3 } = {}) {
+    super('spring', a, b, length);
+    this.frequency = frequency;
+    this.dampingRatio = dampingRatio;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      frequency: this.frequency,
+      dampingRatio: this.dampingRatio,
+    };
+  }
+
+  /**
+   * Integrated implicitly (like World.applyDragSpring), so stiff springs
+   * stay stable at the world's step rate.
+   */
+  applyForce(dt) {
+    const axis = this.getAxis();
+    if (!axis) return;
+
+    const omega = 2 * Math.PI * this.frequency;
+    const stiffness = omega * omega * dt;
+    const divisor = 1 + 2 * this.dampingRatio * omega * dt + stiffness * dt;
+
+    const speed = this.getSeparatingSpeed(axis);
+    const target = (speed - stiffness * (axis.distance - this.length)) / divisor;
+    this.changeSeparatingSpeed(axis, target - speed);
+  }
+}
+
+/**
+ * Build a constraint from a plain definition (see the top of this file).
+ * @param {Object} definition
+ * @param {function(number): Object} getBall - Looks up a ball by id; the
+ *   definition may also hold the ball objects themselves
+ * @throws {Error} For an unknown type or a missing ball
+ */
+function createConstraint(definition, getBall) {
+  const resolve = (end) => (typeof end === 'object' ? end : getBall(end));
+  const a = resolve(definition.a);
+  const b =
+    definition.b !== undefined
+      ? resolve(definition.b)
+      : { x: definition.x, y: definition.y };
+  if (!a || !b) throw new Error('Constraint refers to a missing ball');
+
+  switch (definition.type) {
+    case 'rod':
+      return new RodConstraint(a, b, definition);
+    case 'rope':
+      return new RopeConstraint(a, b, definition);
+    case 'spring':
+      return new SpringConstraint(a, b, definition);
+    default:
+      throw new Error(`Unknown constraint type: ${definition.type}`);
+  }
+}
+
+// Allow require('./constraints.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RodConstraint,
+    RopeConstraint,
+    SpringConstraint,
+    createConstraint,
+  };
+}
@@ -0,0 +1,280 @@
+/**
+ * Collision Effects
+ *
+ * Visual feedback for impacts, driven by the `collision` and `wallHit`
+ * events of BallPhysics and animated with GSAP:
+ * - squash:    balls squash along the contact normal and wobble back,
+ *              further the harder they were hit
+ * - particles: a burst of sparks in the balls' colors at the contact point
+ * - flash:     a ring flashing out from the contact point
+ * - trails:    fading ghosts behind fast balls (off by default)
+ *
+ * Squash is drawn by the renderer from `ball.squash` ({ angle, amount }), so
+ * it works with the DOM and the canvas renderer alike. Sparks, flashes and
+ * trails are elements in an overlay above the balls.
+ *
+ * Effects are throttled so a busy pile does not flood the DOM: hits closing
+ * slower than `minSpeed` show nothing, each ball reacts at most once per
+ * `cooldown`, and at most `maxParticles` sparks and flashes and `maxTrails`
+ * ghosts exist at once.
+ *
+ * Effects use Math.random(), never the simulation's seeded generator, so
+ * they do not change replays.
+ */
+
+const EFFECT_NAMES = ['squash', 'particles', 'flash', 'trails'];
+
+const EFFECT_DEFAULTS = {
+  squash: true,
+  particles: true,
+  flash: true,
+  trails: false,
+  minSpeed: 200, // px/s
+  cooldown: 0.1, // s
+  maxSquash: 0.3, // Fraction of the ball's size
+  squashPerSpeed: 0.00015, // Squash per px/s of velocity change
+  maxParticles: 60,
+  trailSpeed: 1200, // px/s
+  trailInterval: 0.03, // s between ghosts of one ball
+  maxTrails: 40,
+};
+
+class EffectsLayer {
+  /**
+   * @param {EventEmitter} physics - Source of collision and wallHit events
+   * @param {HTMLElement} container - Where the overlay goes
+   * @param {Object|string|boolean} [options] - Settings (see configure())
+   */
+  constructor(physics, container, options) {
+    this.settings = { ...EFFECT_DEFAULTS };
+    this.configure(options);
+
+    this.layer = document.createElement('div');
+    this.layer.className = 'effects-layer';
+    container.appendChild(this.layer);
+
+    this.particleCount = 0; // Sparks and flashes alive
+    this.trailCount = 0;
+    this.lastEffect = new WeakMap(); // ball -> time of its last hit effect
+    this.lastTrail = new WeakMap(); // ball -> time of its last ghost
+
+    this.unsubscribe = [
+      physics.on('collision', (event) => this.handleCollision(event)),
+      physics.on('wallHit', (event) => this.handleWallHit(event)),
+    ];
+  }
+
+  // Stop reacting to hits and remove the overlay
+  destroy() {
+    this.unsubscribe.forEach((off) => off());
+    this.layer.remove();
+  }
+
+  /**
+   * Change settings. Besides an object of settings (see EFFECT_DEFAULTS),
+   * accepts false to turn every effect off, or a list of the effects to
+   * show such as 'squash particles' (as in data-effects on #container).
+   */
+  configure(options = {}) {
+    if (options === false || typeof options === 'string') {
+      const enabled = options ? options.split(/[\s,]+/) : [];
+      options = {};
+      EFFECT_NAMES.forEach((name) => {
+        options[name] = enabled.includes(name);
+      });
+    }
+    Object.assign(this.settings, options);
+  }
+
+  now() {
+    return performance.now() / 1000;
+  }
+
+  // Whether a ball may show another hit effect yet; claims it if so
+  takeTurn(ball, time) {
+    const last = this.lastEffect.get(ball);
+    if (last !== undefined && time - last < this.settings.cooldown) {
+      return false;
+    }
+    this.lastEffect.set(ball, time);
+    return true;
+  }
+
+  handleCollision(event) {
+    const { ball1, ball2, impulse, speed, x, y, normalX, normalY } = event;
+    if (speed < this.settings.minSpeed) return;
+
+    const time = this.now();
+    const first = this.takeTurn(ball1, time);
+    const second = this.takeTurn(ball2, time);
+    if (!first && !second) return;
+
+    const angle = Math.atan2(normalY, normalX);
+    if (first) this.squash(ball1, angle, impulse / ball1.mass);
+    if (second) this.squash(ball2, angle, impulse / ball2.mass);
+
+    // Sparks fly out sideways from between the balls
+    const side = Math.random() < 0.5 ? -1 : 1;
+    this.burst(x, y, angle + (side * Math.PI) / 2, speed, [
+      ball1.color,
+      ball2.color,
+    ]);
+    this.flash(x, y, speed);
+  }
+
+  handleWallHit(event) {
+    const { ball, impulse, speed, x, y, normalX, normalY } = event;
+    if (speed < this.settings.minSpeed || !this.takeTurn(ball, this.now())) {
+      return;
+    }
+
+    // The normal points into the wall; sparks bounce back off it
+    const angle = Math.atan2(normalY, normalX);
+    this.squash(ball, angle, impulse / ball.mass);
+    this.burst(x, y, angle + Math.PI, speed, [ball.color]);
+    this.flash(x, y, speed);
+  }
+
+  /**
+   * Squash a ball along an axis and let it wobble back.
+   * @param {Object} ball
+   * @param {number} angle - Axis in radians
+   * @param {number} deltaV - Velocity change of the hit in px/s
+   */
+  squash(ball, angle, deltaV) {
+    const { squash, maxSquash, squashPerSpeed } = this.settings;
+    if (!squash || !Number.isFinite(deltaV)) return;
+
+    if (ball.squash) gsap.killTweensOf(ball.squash);
+    const state = {
+      angle: (angle * 180) / Math.PI,
+      amount: Math.min(maxSquash, deltaV * squashPerSpeed),
+    };
+    ball.squash = state;
+    gsap.to(state, {
+      amount: 0,
+      duration: 0.5,
+      ease: 'elastic.out(1, 0.3)',
+      onComplete: () => {
+        if (ball.squash === state) ball.squash = null;
+      },
+    });
+  }
+
+  /**
+   * Sparks spreading from a point around a direction.
+   * @param {number} angle - Direction in radians
+   * @param {number} speed - Closing speed of the hit, for the spark count
+   * @param {Array<string>} colors - Used in turn
+   */
+  burst(x, y, angle, speed, colors) {
+    const { particles, maxParticles } = this.settings;
+    if (!particles) return;
+
+    const count = Math.min(
+      2 + Math.floor(speed / 300),
+      8,
+      maxParticles - this.particleCount
+    );
+    for (let i = 0; i < count; i++) {
+      const direction = angle + (Math.random() - 0.5) * 2;
+      const distance = 20 + Math.random() * (speed / 30);
+      const size = 3 + Math.random() * 4;
+      const spark = this.createElement('effect-particle', x, y, size);
+      spark.style.backgroundColor = colors[i % colors.length];
+
+      this.particleCount++;
+      gsap.to(spark, {
+        x: `+=${Math.cos(direction) * distance}`,
+        y: `+=${Math.sin(direction) * distance}`,
+        scale: 0.3,
+        opacity: 0,
+        duration: 0.4 + Math.random() * 0.3,
+        ease: 'power2.out',
+        onComplete: () => {
+          spark.remove();
+          this.particleCount--;
+        },
+      });
+    }
+  }
+
+  flash(x, y, speed) {
+    const { flash, maxParticles } = this.settings;
+    if (!flash || this.particleCount >= maxParticles) return;
+
+    const size = Math.min(60, 16 + speed / 40);
+    const ring = this.createElement('effect-flash', x, y, size);
+
+    this.particleCount++;
+    gsap.fromTo(
+      ring,
+      { scale: 0.2, opacity: 0.8 },
+      {
+        scale: 1,
+        opacity: 0,
+        duration: 0.3,
+        ease: 'power1.out',
+        onComplete: () => {
+          ring.remove();
+          this.particleCount--;
+        },
+      }
+    );
+  }
+
+  /**
+   * Leave a fading ghost behind every fast ball. Called once per frame.
+   * @param {Array} balls
+   */
+  update(balls) {
+    const { trails, trailSpeed, trailInterval, maxTrails } = this.settings;
+    if (!trails) return;
+
+    const time = this.now();
+    balls.forEach((ball) => {
+      if (ball.sleeping || this.trailCount >= maxTrails) return;
+      if (ball.vx * ball.vx + ball.vy * ball.vy < trailSpeed * trailSpeed) {
+        return;
+      }
+      const last = this.lastTrail.get(ball);
+      if (last !== undefined && time - last < trailInterval) return;
+      this.lastTrail.set(ball, time);
+
+      const ghost = this.createElement('effect-trail', ball.x, ball.y, ball.size);
+      ghost.style.backgroundColor = ball.color;
+
+      this.trailCount++;
+      gsap.fromTo(
+        ghost,
+        { scale: 1, opacity: 0.35 },
+        {
+          scale: 0.6,
+          opacity: 0,
+          duration: 0.3,
+          ease: 'power1.in',
+          onComplete: () => {
+            ghost.remove();
+            this.trailCount--;
+          },
+        }
+      );
+    });
+  }
+
+  // A round overlay element of the given size centered on a point
+  createElement(className, x, y, size) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.style.width = size + 'px';
+    element.style.height = size + 'px';
+    gsap.set(element, { x: x - size / 2, y: y - size / 2 });
+    this.layer.appendChild(element);
+    return element;
+  }
+}
+
+// Allow require('./effects.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EffectsLayer, EFFECT_DEFAULTS };
+}
@@ -0,0 +1,69 @@
+/**
+ * Event Emitter
+ *
+ * A minimal publish/subscribe helper shared by World and BallPhysics:
+ *
+ *   const off = physics.on('collision', (event) => playSound(event.impulse));
+ *   off(); // Stop listening
+ *
+ * A listener that throws is reported to the console and does not stop the
+ * other listeners or the simulation.
+ */
+
+class EventEmitter {
+  constructor() {
+    this.listeners = new Map(); // type -> array of listeners
+  }
+
+  /**
+   * @param {string} type
+   * @param {function(Object)} listener - Called with the event's details
+   * @returns {function()} Removes the listener again
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  // Listen for the next event of a type only
+  once(type, listener) {
+    const off = this.on(type, (event) => {
+      off();
+      listener(event);
+    });
+    return off;
+  }
+
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+  }
+
+  // Lets hot paths skip building event details nobody listens to
+  hasListeners(type) {
+    const listeners = this.listeners.get(type);
+    return Boolean(listeners && listeners.length);
+  }
+
+  emit(type, event) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    // Copy so listeners can unsubscribe while being called
+    listeners.slice().forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Error in "${type}" listener:`, error);
+      }
+    });
+  }
+}
+
+// Allow require('./emitter.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EventEmitter };
+}
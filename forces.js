@@ -0,0 +1,192 @@
+/**
+ * Force Fields
+ *
+ * Accelerations applied to the balls on every step, on top of the world's
+ * gravity:
+ * - attractor: pulls balls towards a point (a negative `strength` pushes
+ *              them away). `strength` is the acceleration in px/s² at
+ *              `distance` px from the point; `falloff` sets how it changes
+ *              with distance: 'inverse-square' (default), 'linear' (fading
+ *              to nothing at `radius`) or 'none'. `radius` limits its reach.
+ * - wind:      a constant acceleration (`ax`, `ay` in px/s²) inside a
+ *              rectangle (`x`, `y`, `width`, `height`), or everywhere when
+ *              no rectangle is given
+ * - mutual:    every ball attracts every other one in proportion to its
+ *              mass, scaled by `strength` (a gravitational constant)
+ *
+ * Every force implements:
+ * - apply(balls, dt) -> change the velocities of the awake, free balls
+ * - toJSON()         -> the plain definition it can be rebuilt from
+ *
+ *   { "type": "attractor", "x": 320, "y": 240, "strength": 2000 }
+ *   { "type": "wind", "ax": 600, "x": 0, "y": 0, "width": 200, "height": 480 }
+ *   { "type": "mutual", "strength": 50 }
+ * `repulsor` is an attractor with its strength turned negative.
+ */
+
+// Whether forces act on a ball; held and sleeping balls stay put
+function isMovable(ball) {
+  return !ball.isDragging && !ball.sleeping;
+}
+
+class AttractorForce {
+  constructor({
+    x,
+    y,
+    strength = 1000,
+    distance = 100,
+    falloff = 'inverse-square',
+    radius,
+  }) {
+    this.type = 'attractor';
+    this.x = x;
+    this.y = y;
+    this.strength = strength;
+    this.distance = distance;
+    this.falloff = falloff;
+    this.radius = radius;
+  }
+
+  toJSON() {
+    const { x, y, strength, distance, falloff, radius } = this;
+    return { type: 'attractor', x, y, strength, distance, falloff, radius };
+  }
+
+  // Acceleration (px/s²) at `d` px from the center
+  getAcceleration(d) {
+    if (this.radius !== undefined && d > this.radius) return 0;
+
+    if (this.falloff === 'linear') {
+      const reach = this.radius ?? this.distance * 2;
+      return this.strength * Math.max(0, 1 - d / reach);
+    }
+    if (this.falloff === 'none') return this.strength;
+
+    // Capped near the center so balls passing through are not flung away
+    const ratio = this.distance / Math.max(d, this.distance * 0.25);
+    return this.strength * ratio * ratio;
+  }
+
+  apply(balls, dt) {
+    balls.forEach((ball) => {
+      if (!isMovable(ball)) return;
+
+      const dx = this.x - ball.x;
+      const dy = this.y - ball.y;
+      const d = Math.sqrt(dx * dx + dy * dy);
+      if (d === 0) return;
+
+      const acceleration = this.getAcceleration(d);
+      ball.vx += (dx / d) * acceleration * dt;
+      ball.vy += (dy / d) * acceleration * dt;
+    });
+  }
+}
+
+class WindForce {
+  constructor({ ax = 0, ay = 0, x, y, width, height }) {
+    this.type = 'wind';
+    this.ax = ax;
+    this.ay = ay;
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+  }
+
+  toJSON() {
+    const { ax, ay, x, y, width, height } = this;
+    return { type: 'wind', ax, ay, x, y, width, height };
+  }
+
+  contains(ball) {
+    if (this.width === undefined || this.height === undefined) return true;
+    return (
+      ball.x >= this.x &&
+      ball.x <= this.x + this.width &&
+      ball.y >= this.y &&
+      ball.y <= this.y + this.height
+    );
+  }
+
+  apply(balls, dt) {
+    balls.forEach((ball) => {
+      if (!isMovable(ball) || !this.contains(ball)) return;
+      ball.vx += this.ax * dt;
+      ball.vy += this.ay * dt;
+    });
+  }
+}
+
+class MutualGravityForce {
+  constructor({ strength = 50 } = {}) {
+    this.type = 'mutual';
+    this.strength = strength;
+  }
+
+  toJSON() {
+    return { type: 'mutual', strength: this.strength };
+  }
+
+  // Every pair once; O(n²), so meant for tens of balls rather than thousands
+  apply(balls, dt) {
+    for (let i = 0; i < balls.length; i++) {
+      for (let j = i + 1; j < balls.length; j++) {
+        const ball1 = balls[i];
+        const ball2 = balls[j];
+        const dx = ball2.x - ball1.x;
+        const dy = ball2.y - ball1.y;
+
+        // Never closer than touching, so the pull stays finite
+        const minDistance = ball1.radius + ball2.radius;
+        const distanceSq = Math.max(
+          dx * dx + dy * dy,
+          minDistance * minDistance
+        );
+        const distance = Math.sqrt(distanceSq);
+        const pull = (this.strength * dt) / (distanceSq * distance);
+
+        if (isMovable(ball1)) {
+          ball1.vx += dx * pull * ball2.mass;
+          ball1.vy += dy * pull * ball2.mass;
+        }
+        if (isMovable(ball2)) {
+          ball2.vx -= dx * pull * ball1.mass;
+          ball2.vy -= dy * pull * ball1.mass;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Build a force from a plain definition (see the top of this file).
+ * @throws {Error} For an unknown type
+ */
+function createForce(definition) {
+  switch (definition.type) {
+    case 'attractor':
+    case 'repulsor':
+      return new AttractorForce(
+        definition.type === 'repulsor'
+          ? { ...definition, strength: -Math.abs(definition.strength ?? 1000) }
+          : definition
+      );
+    case 'wind':
+      return new WindForce(definition);
+    case 'mutual':
+      return new MutualGravityForce(definition);
+    default:
+      throw new Error(`Unknown force type: ${definition.type}`);
+  }
+}
+
+// Allow require('./forces.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AttractorForce,
+    WindForce,
+    MutualGravityForce,
+    createForce,
+  };
+}
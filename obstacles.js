@@ -0,0 +1,350 @@
+/**
+ * Static Obstacles
+ *
+ * Fixed geometry inside the container that balls bounce off: pegs
+ * (circles), line segments and ramps, and convex polygons. Obstacles use
+ * the same contact model as the container walls, combining their own
+ * optional `restitution` and `friction` with the ball's.
+ *
+ * Every obstacle implements:
+ * - getContact(ball, slop) -> { normalX, normalY, depth } or null, the
+ *                        normal pointing from the ball's center into the
+ *                        obstacle; `slop` (px) also reports near misses
+ * - timeOfImpact(ball, maxTime) -> seconds until a moving ball touches it
+ * - bounds            -> { minX, minY, maxX, maxY } for quick rejection
+ * - toJSON()          -> the plain definition it can be rebuilt from
+ *
+ * Obstacles are usually created from plain definitions (JSON or markup):
+ *   { "type": "peg", "x": 120, "y": 200, "radius": 6 }
+ *   { "type": "segment", "x1": 0, "y1": 300, "x2": 200, "y2": 360 }
+ *   { "type": "polygon", "points": [[300, 400], [380, 400], [340, 340]] }
+ * `circle` is an alias for `peg` and `ramp`/`line` for `segment`.
+ */
+
+/**
+ * Time until a point moving with velocity (vx, vy) comes within `radius`
+ * of (cx, cy), or null if it does not happen within `maxTime`. Points that
+ * already overlap or are moving away are ignored.
+ */
+function circleTimeOfImpact(px, py, vx, vy, cx, cy, radius, maxTime) {
+  const dx = px - cx;
+  const dy = py - cy;
+  const a = vx * vx + vy * vy;
+  const b = 2 * (dx * vx + dy * vy);
+  const c = dx * dx + dy * dy - radius * radius;
+
+  if (a === 0 || c < 0 || b >= 0) return null;
+
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < 0) return null;
+
+  const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+  return time >= 0 && time <= maxTime ? time : null;
+}
+
+/**
+ * Closest point to (px, py) on the segment from (x1, y1) to (x2, y2).
+ */
+function closestPointOnSegment(px, py, x1, y1, x2, y2) {
+  const ex = x2 - x1;
+  const ey = y2 - y1;
+  const lengthSq = ex * ex + ey * ey;
+  const t =
+    lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((px - x1) * ex + (py - y1) * ey) / lengthSq));
+  return { x: x1 + ex * t, y: y1 + ey * t };
+}
+
+/**
+ * Time until a moving ball touches a capsule (a segment thickened by
+ * `halfWidth`): either its flat side or one of its rounded ends.
+ */
+function segmentTimeOfImpact(ball, x1, y1, x2, y2, halfWidth, maxTime) {
+  const reach = ball.radius + halfWidth;
+  const ex = x2 - x1;
+  const ey = y2 - y1;
+  const length = Math.sqrt(ex * ex + ey * ey);
+  let earliest = null;
+
+  if (length > 0) {
+    // Unit normal on the side the ball is on
+    let nx = -ey / length;
+    let ny = ex / length;
+    let distance = (ball.x - x1) * nx + (ball.y - y1) * ny;
+    if (distance < 0) {
+      nx = -nx;
+      ny = -ny;
+      distance = -distance;
+    }
+
+    const approach = -(ball.vx * nx + ball.vy * ny);
+    if (distance >= reach && approach > 0) {
+      const time = (distance - reach) / approach;
+      const hitX = ball.x + ball.vx * time;
+      const hitY = ball.y + ball.vy * time;
+      const along = ((hitX - x1) * ex + (hitY - y1) * ey) / (length * length);
+      if (time <= maxTime && along >= 0 && along <= 1) earliest = time;
+    }
+  }
+
+  [
+    [x1, y1],
+    [x2, y2],
+  ].forEach(([cx, cy]) => {
+    const time = circleTimeOfImpact(
+      ball.x,
+      ball.y,
+      ball.vx,
+      ball.vy,
+      cx,
+      cy,
+      reach,
+      maxTime
+    );
+    if (time !== null && (earliest === null || time < earliest)) {
+      earliest = time;
+    }
+  });
+
+  return earliest;
+}
+
+// Contact with the nearest point of an obstacle, if the ball reaches it
+function contactWithPoint(ball, pointX, pointY, halfWidth, slop = 0) {
+  const dx = pointX - ball.x;
+  const dy = pointY - ball.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  const reach = ball.radius + halfWidth;
+
+  if (distance >= reach + slop || distance === 0) return null;
+  return {
+    normalX: dx / distance,
+    normalY: dy / distance,
+    depth: reach - distance,
+  };
+}
+
+class CircleObstacle {
+  constructor({ x, y, radius, restitution, friction }) {
+    this.type = 'circle';
+    this.x = x;
+    this.y = y;
+    this.radius = radius;
+    this.restitution = restitution;
+    this.friction = friction;
+    this.bounds = {
+      minX: x - radius,
+      minY: y - radius,
+      maxX: x + radius,
+      maxY: y + radius,
+    };
+  }
+
+  toJSON() {
+    const { x, y, radius, restitution, friction } = this;
+    return { type: 'peg', x, y, radius, restitution, friction };
+  }
+
+  getContact(ball, slop = 0) {
+    return contactWithPoint(ball, this.x, this.y, this.radius, slop);
+  }
+
+  timeOfImpact(ball, maxTime) {
+    return circleTimeOfImpact(
+      ball.x,
+      ball.y,
+      ball.vx,
+      ball.vy,
+      this.x,
+      this.y,
+      ball.radius + this.radius,
+      maxTime
+    );
+  }
+}
+
+class SegmentObstacle {
+  constructor({ x1, y1, x2, y2, thickness = 4, restitution, friction }) {
+    this.type = 'segment';
+    this.x1 = x1;
+    this.y1 = y1;
+    this.x2 = x2;
+    this.y2 = y2;
+    this.thickness = thickness;
+    this.restitution = restitution;
+    this.friction = friction;
+
+    const halfWidth = thickness / 2;
+    this.bounds = {
+      minX: Math.min(x1, x2) - halfWidth,
+      minY: Math.min(y1, y2) - halfWidth,
+      maxX: Math.max(x1, x2) + halfWidth,
+      maxY: Math.max(y1, y2) + halfWidth,
+    };
+  }
+
+  toJSON() {
+    const { x1, y1, x2, y2, thickness, restitution, friction } = this;
+    return { type: 'segment', x1, y1, x2, y2, thickness, restitution, friction };
+  }
+
+  getContact(ball, slop = 0) {
+    const point = closestPointOnSegment(
+      ball.x,
+      ball.y,
+      this.x1,
+      this.y1,
+      this.x2,
+      this.y2
+    );
+    return contactWithPoint(ball, point.x, point.y, this.thickness / 2, slop);
+  }
+
+  timeOfImpact(ball, maxTime) {
+    return segmentTimeOfImpact(
+      ball,
+      this.x1,
+      this.y1,
+      this.x2,
+      this.y2,
+      this.thickness / 2,
+      maxTime
+    );
+  }
+}
+
+class PolygonObstacle {
+  /**
+   * @param {Object} definition
+   * @param {Array} definition.points - Vertices of a convex polygon, as
+   *   [x, y] pairs or {x, y} objects, in either winding order
+   */
+  constructor({ points, restitution, friction }) {
+    this.type = 'polygon';
+    this.points = points.map((p) => (Array.isArray(p) ? { x: p[0], y: p[1] } : p));
+    this.restitution = restitution;
+    this.friction = friction;
+
+    const xs = this.points.map((p) => p.x);
+    const ys = this.points.map((p) => p.y);
+    this.bounds = {
+      minX: Math.min(...xs),
+      minY: Math.min(...ys),
+      maxX: Math.max(...xs),
+      maxY: Math.max(...ys),
+    };
+
+    // Outward edge normals, whichever way the points wind
+    let area = 0;
+    this.forEachEdge((a, b) => {
+      area += a.x * b.y - b.x * a.y;
+    });
+    const winding = area >= 0 ? 1 : -1;
+    this.normals = [];
+    this.forEachEdge((a, b) => {
+      const ex = b.x - a.x;
+      const ey = b.y - a.y;
+      const length = Math.sqrt(ex * ex + ey * ey) || 1;
+      this.normals.push({
+        x: (ey / length) * winding,
+        y: (-ex / length) * winding,
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      type: 'polygon',
+      points: this.points.map((p) => [p.x, p.y]),
+      restitution: this.restitution,
+      friction: this.friction,
+    };
+  }
+
+  forEachEdge(callback) {
+    this.points.forEach((a, i) => {
+      callback(a, this.points[(i + 1) % this.points.length], i);
+    });
+  }
+
+  getContact(ball, slop = 0) {
+    // Signed distance to each edge's line; all negative means inside
+    let inside = true;
+    let shallowest = null;
+    this.forEachEdge((a, b, i) => {
+      const normal = this.normals[i];
+      const distance = (ball.x - a.x) * normal.x + (ball.y - a.y) * normal.y;
+      if (distance > 0) inside = false;
+      if (!shallowest || distance > shallowest.distance) {
+        shallowest = { distance, normal };
+      }
+    });
+
+    // Center inside: push out through the nearest edge
+    if (inside) {
+      return {
+        normalX: -shallowest.normal.x,
+        normalY: -shallowest.normal.y,
+        depth: ball.radius - shallowest.distance,
+      };
+    }
+
+    let nearest = null;
+    this.forEachEdge((a, b) => {
+      const point = closestPointOnSegment(ball.x, ball.y, a.x, a.y, b.x, b.y);
+      const dx = point.x - ball.x;
+      const dy = point.y - ball.y;
+      const distanceSq = dx * dx + dy * dy;
+      if (!nearest || distanceSq < nearest.distanceSq) {
+        nearest = { point, distanceSq };
+      }
+    });
+    return contactWithPoint(ball, nearest.point.x, nearest.point.y, 0, slop);
+  }
+
+  timeOfImpact(ball, maxTime) {
+    let earliest = null;
+    this.forEachEdge((a, b) => {
+      const time = segmentTimeOfImpact(ball, a.x, a.y, b.x, b.y, 0, maxTime);
+      if (time !== null && (earliest === null || time < earliest)) {
+        earliest = time;
+      }
+    });
+    return earliest;
+  }
+}
+
+/**
+ * Build an obstacle from a plain definition (see the top of this file).
+ * @throws {Error} For an unknown type
+ */
+function createObstacle(definition) {
+  switch (definition.type) {
+    case 'peg':
+    case 'circle':
+      return new CircleObstacle(definition);
+    case 'segment':
+    case 'line':
+    case 'ramp':
+      return new SegmentObstacle(definition);
+    case 'polygon':
+      return new PolygonObstacle(definition);
+    default:
+      throw new Error(`Unknown obstacle type: ${definition.type}`);
+  }
+}
+
+// Allow require('./obstacles.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CircleObstacle,
+    SegmentObstacle,
+    PolygonObstacle,
+    createObstacle,
+    circleTimeOfImpact,
+    closestPointOnSegment,
+    segmentTimeOfImpact,
+    contactWithPoint,
+  };
+}
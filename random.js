@@ -0,0 +1,42 @@
+/**
+ * Seeded Random Numbers
+ *
+ * A small, fast PRNG (mulberry32) used instead of Math.random() wherever
+ * the simulation needs randomness, so a scene built from the same seed is
+ * the same every time. Its whole state is one 32-bit integer, which scene
+ * snapshots save and restore.
+ */
+
+class SeededRandom {
+  /**
+   * @param {number} [seed] - Any integer; defaults to the current time
+   */
+  constructor(seed = Date.now()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns {number} A float in [0, 1), like Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+// Allow require('./random.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SeededRandom };
+}
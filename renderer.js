@@ -0,0 +1,439 @@
+/**
+ * DOM Renderer
+ *
+ * Draws the balls of a World as absolutely positioned `.ball` divs inside
+ * the container, moved every frame with GSAP. This is the original look of
+ * the simulation, split out from the physics so it can be swapped for
+ * another renderer.
+ *
+ * A renderer implements:
+ * - measure()            -> { width, height } of the drawing area
+ * - createBallElement()  -> a new element for a ball added at runtime
+ * - mountBall(ball, options)  (options.content: { svg, html, image, label }
+ *                             to show in the ball)
+ * - render(balls, alpha, constraints)  (constraints are redrawn every frame)
+ * - renderObstacles(obstacles)  (called whenever the static geometry changes)
+ * - renderBoundary(boundary)    (optional; on resize and shape changes)
+ * - removeBall(ball)            (optional; a ball left the world)
+ * - renderBallState(ball)       (optional; `selected`, `hovered`, `focused`
+ *                                or `pinned` changed; canvases can read them
+ *                                per frame)
+ * - getBallElement(ball)        (optional; the element keyboard focus goes
+ *                                to, see accessibility.js)
+ * - clear()                     (removes the balls only)
+ *
+ * Renderers also draw `ball.squash` ({ angle, amount }) when the effects
+ * layer (effects.js) sets it: the ball is squashed by `amount` along the
+ * axis at `angle` degrees and widened across it, while its icon keeps
+ * spinning with the ball.
+ *
+ * Balls with a `gradient` (a list of CSS colors) are filled with it from
+ * the top left to the bottom right instead of with their `color`.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Label text, matching `.ball-label` in style.css
+const LABEL_LINE_HEIGHT = 1.15;
+const LABEL_MAX_LINES = 3;
+
+function labelFont(fontSize) {
+  return `bold ${fontSize}px Arial, sans-serif`;
+}
+
+let labelMeasureContext; // Created on first use
+
+// Width of a text at a font size of 1px
+function measureLabel(text) {
+  if (labelMeasureContext === undefined) {
+    const canvas = document.createElement('canvas');
+    labelMeasureContext = canvas.getContext('2d') || null;
+  }
+  // Without canvas support, assume an average glyph width
+  if (!labelMeasureContext) return text.length * 0.6;
+  labelMeasureContext.font = labelFont(100);
+  return labelMeasureContext.measureText(text).width / 100;
+}
+
+// Split words into a number of lines of about equal length
+function splitLabel(words, count) {
+  const target = words.join(' ').length / count;
+  const lines = [];
+  let line = '';
+  words.forEach((word) => {
+    const full = line && (line + ' ' + word).length > target;
+    if (full && lines.length < count - 1) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? line + ' ' + word : word;
+    }
+  });
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Break a label into lines and find the largest font size at which they
+ * fit inside a ball, keeping clear of its rim.
+ * @param {string} text
+ * @param {number} diameter - The ball's size
+ * @returns {{lines: Array<string>, fontSize: number}}
+ */
+function fitLabel(text, diameter) {
+  const words = String(text).trim().split(/\s+/);
+  const room = diameter * 0.8;
+  let best = { lines: words, fontSize: 0 };
+
+  const maxLines = Math.min(LABEL_MAX_LINES, words.length);
+  for (let count = 1; count <= maxLines; count++) {
+    const lines = splitLabel(words, count);
+    const width = Math.max(...lines.map(measureLabel));
+    const height = lines.length * LABEL_LINE_HEIGHT;
+    // The corners of the text block touch the circle
+    const fontSize = room / Math.sqrt(width * width + height * height);
+    if (fontSize > best.fontSize) best = { lines, fontSize };
+  }
+  // Short words would fill the ball otherwise
+  best.fontSize = Math.min(best.fontSize, diameter * 0.3);
+  return best;
+}
+
+/**
+ * Blend a ball's previous and current physics state for drawing.
+ * Dragged balls follow the pointer directly and are not blended.
+ */
+function interpolateBall(ball, alpha) {
+  if (ball.isDragging || ball.prevX === undefined) {
+    return { x: ball.x, y: ball.y, rotation: ball.rotation };
+  }
+  return {
+    x: ball.prevX + (ball.x - ball.prevX) * alpha,
+    y: ball.prevY + (ball.y - ball.prevY) * alpha,
+    rotation: ball.prevRotation + (ball.rotation - ball.prevRotation) * alpha,
+  };
+}
+
+/**
+ * Scale factors for a squash: along the squash axis and across it. A
+ * negative amount stretches the ball instead.
+ */
+function squashScales(amount) {
+  return { along: 1 - amount, across: 1 + amount / 2 };
+}
+
+/**
+ * Points of a zigzag from a to b, for drawing springs.
+ * @returns {Array<{x: number, y: number}>}
+ */
+function springPoints(a, b, coils = 8, width = 6) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.sqrt(dx * dx + dy * dy) || 1;
+  const normalX = -dy / length;
+  const normalY = dx / length;
+
+  const points = [{ x: a.x, y: a.y }];
+  for (let i = 0; i < coils * 2; i++) {
+    const t = (i + 0.5) / (coils * 2);
+    const side = i % 2 === 0 ? width : -width;
+    points.push({
+      x: a.x + dx * t + normalX * side,
+      y: a.y + dy * t + normalY * side,
+    });
+  }
+  points.push({ x: b.x, y: b.y });
+  return points;
+}
+
+class DomRenderer {
+  constructor(container) {
+    this.container = container;
+    this.restingBalls = new WeakSet(); // Sleeping balls already drawn
+    this.squashedBalls = new WeakSet(); // Balls drawn squashed last frame
+    this.ballContents = new WeakMap(); // ball -> wrapper around its icon
+  }
+
+  measure() {
+    return {
+      width: this.container.clientWidth,
+      height: this.container.clientHeight,
+    };
+  }
+
+  createBallElement() {
+    const element = document.createElement('div');
+    element.className = 'ball';
+    element.style.borderRadius = '50%';
+    this.container.appendChild(element);
+    return element;
+  }
+
+  /**
+   * Size and color a ball's element and place it at its starting position.
+   * @param {Object} ball - Ball state with an `element`
+   * @param {Object} [options]
+   * @param {string} [options.svg] - Icon markup to place inside the ball
+   * @param {boolean} [options.animateIn] - Pop the ball in with a scale tween
+   */
+  mountBall(ball, options = {}) {
+    const element = ball.element;
+    element.style.width = ball.size + 'px';
+    element.style.height = ball.size + 'px';
+    element.style.backgroundImage = ball.gradient
+      ? `linear-gradient(135deg, ${ball.gradient.join(', ')})`
+      : '';
+    if (options.content) this.renderContent(element, options.content);
+
+    // The icon sits in a wrapper of its own, so a squash can turn the ball
+    // towards the impact while the icon keeps its rotation
+    let content = element.querySelector('.ball-content');
+    if (!content && element.childNodes.length) {
+      content = document.createElement('div');
+      content.className = 'ball-content';
+      content.append(...element.childNodes);
+      element.appendChild(content);
+    }
+    if (content) this.ballContents.set(ball, content);
+
+    const label = element.querySelector('.ball-label');
+    if (label) {
+      const { lines, fontSize } = fitLabel(ball.label, ball.size);
+      label.textContent = lines.join('\n');
+      label.style.fontSize = fontSize + 'px';
+    }
+
+    gsap.set(element, {
+      x: ball.x - ball.radius,
+      y: ball.y - ball.radius,
+      backgroundColor: ball.color,
+      scale: options.animateIn ? 0 : 1,
+    });
+
+    if (options.animateIn) {
+      gsap.to(element, {
+        scale: 1,
+        duration: 0.3,
+        ease: 'back.out(1.7)',
+      });
+    }
+  }
+
+  /**
+   * Replace what is inside a ball's element with its image, icon or
+   * markup, and label (in that order, bottom to top). A ball with none of
+   * them keeps the markup it was declared with.
+   */
+  renderContent(element, { svg, html, image, label }) {
+    if (!svg && !html && !image && !label) return;
+
+    const content = document.createElement('div');
+    content.className = 'ball-content';
+    if (image) {
+      const img = document.createElement('img');
+      img.className = 'ball-image';
+      img.src = image;
+      img.alt = '';
+      img.draggable = false;
+      content.appendChild(img);
+    }
+    if (svg) content.insertAdjacentHTML('beforeend', svg);
+    if (html) {
+      const markup = document.createElement('div');
+      markup.className = 'ball-html';
+      markup.innerHTML = html;
+      content.appendChild(markup);
+    }
+    if (label) {
+      const text = document.createElement('span');
+      text.className = 'ball-label';
+      content.appendChild(text); // Filled in by mountBall
+    }
+    element.replaceChildren(content);
+  }
+
+  /**
+   * Move every ball's element to its current state.
+   * @param {Array} balls
+   * @param {number} [alpha] - Interpolation factor between the previous
+   *   and current physics step (see World.advance)
+   * @param {Array} [constraints] - Rods, ropes and springs to draw
+   */
+  render(balls, alpha = 1, constraints = []) {
+    this.renderConstraints(constraints, alpha);
+
+    balls.forEach((ball) => {
+      // A sleeping ball does not move, so its element is left alone
+      if (ball.sleeping && !ball.squash) {
+        if (this.restingBalls.has(ball)) return;
+        this.restingBalls.add(ball);
+      } else {
+        this.restingBalls.delete(ball);
+      }
+
+      const pose = interpolateBall(ball, alpha);
+      if (ball.squash || this.squashedBalls.has(ball)) {
+        this.renderSquash(ball, pose);
+        return;
+      }
+      gsap.set(ball.element, {
+        x: pose.x - ball.radius,
+        y: pose.y - ball.radius,
+        rotation: pose.rotation, // Apply rotation
+      });
+    });
+  }
+
+  /**
+   * Turn the element to the squash axis and scale it, turning the icon back
+   * by the same angle; restores the plain transform once the squash is over.
+   */
+  renderSquash(ball, pose) {
+    const content = this.ballContents.get(ball);
+    const { angle, amount } = ball.squash || { angle: 0, amount: 0 };
+    const { along, across } = squashScales(amount);
+
+    if (ball.squash) this.squashedBalls.add(ball);
+    else this.squashedBalls.delete(ball);
+
+    gsap.set(ball.element, {
+      x: pose.x - ball.radius,
+      y: pose.y - ball.radius,
+      rotation: ball.squash ? angle : pose.rotation,
+      scaleX: along,
+      scaleY: across,
+    });
+    if (content) {
+      gsap.set(content, { rotation: ball.squash ? pose.rotation - angle : 0 });
+    }
+  }
+
+  /**
+   * Draw constraints into an SVG layer behind the balls, keeping one
+   * polyline per constraint between frames.
+   */
+  renderConstraints(constraints, alpha) {
+    if (!this.constraintLayer) {
+      if (!constraints.length) return;
+      this.constraintLayer = document.createElementNS(SVG_NS, 'svg');
+      this.constraintLayer.setAttribute('class', 'constraint-layer');
+      this.container.insertBefore(
+        this.constraintLayer,
+        this.container.querySelector('.ball')
+      );
+      this.constraintLines = new Map(); // constraint -> polyline
+    }
+
+    const drawn = new Set(constraints);
+    this.constraintLines.forEach((line, constraint) => {
+      if (drawn.has(constraint)) return;
+      line.remove();
+      this.constraintLines.delete(constraint);
+    });
+
+    constraints.forEach((constraint) => {
+      let line = this.constraintLines.get(constraint);
+      if (!line) {
+        line = document.createElementNS(SVG_NS, 'polyline');
+        line.setAttribute('class', 'constraint constraint-' + constraint.type);
+        this.constraintLayer.appendChild(line);
+        this.constraintLines.set(constraint, line);
+      }
+
+      // Anchors are plain points, which interpolateBall passes through
+      const a = interpolateBall(constraint.a, alpha);
+      const b = interpolateBall(constraint.b, alpha);
+      const points = constraint.type === 'spring' ? springPoints(a, b) : [a, b];
+      line.setAttribute('points', points.map((p) => p.x + ',' + p.y).join(' '));
+    });
+  }
+
+  /**
+   * Draw static obstacles into an SVG layer behind the balls.
+   */
+  renderObstacles(obstacles) {
+    if (!this.obstacleLayer) {
+      this.obstacleLayer = document.createElementNS(SVG_NS, 'svg');
+      this.obstacleLayer.setAttribute('class', 'obstacle-layer');
+      this.container.prepend(this.obstacleLayer);
+    }
+    this.obstacleLayer.innerHTML = '';
+
+    obstacles.forEach((obstacle) => {
+      let shape;
+      if (obstacle.type === 'circle') {
+        shape = document.createElementNS(SVG_NS, 'circle');
+        shape.setAttribute('cx', obstacle.x);
+        shape.setAttribute('cy', obstacle.y);
+        shape.setAttribute('r', obstacle.radius);
+      } else if (obstacle.type === 'segment') {
+        shape = document.createElementNS(SVG_NS, 'line');
+        shape.setAttribute('x1', obstacle.x1);
+        shape.setAttribute('y1', obstacle.y1);
+        shape.setAttribute('x2', obstacle.x2);
+        shape.setAttribute('y2', obstacle.y2);
+        shape.setAttribute('stroke-width', obstacle.thickness);
+      } else if (obstacle.type === 'polygon') {
+        shape = document.createElementNS(SVG_NS, 'polygon');
+        shape.setAttribute(
+          'points',
+          obstacle.points.map((p) => p.x + ',' + p.y).join(' ')
+        );
+      }
+      if (shape) {
+        shape.setAttribute('class', 'obstacle-shape');
+        this.obstacleLayer.appendChild(shape);
+      }
+    });
+  }
+
+  /**
+   * Outline the container's boundary when it is not the container's own
+   * border (a circle or a custom path).
+   */
+  renderBoundary(boundary) {
+    const outline = boundary.getOutline();
+    if (!outline) {
+      if (this.boundaryLayer) this.boundaryLayer.remove();
+      this.boundaryLayer = null;
+      return;
+    }
+
+    if (!this.boundaryLayer) {
+      this.boundaryLayer = document.createElementNS(SVG_NS, 'svg');
+      this.boundaryLayer.setAttribute('class', 'boundary-layer');
+      this.boundaryShape = document.createElementNS(SVG_NS, 'path');
+      this.boundaryShape.setAttribute('class', 'boundary-shape');
+      this.boundaryLayer.appendChild(this.boundaryShape);
+      this.container.prepend(this.boundaryLayer);
+    }
+    this.boundaryShape.setAttribute('d', outline);
+  }
+
+  // Balls are focused themselves
+  getBallElement(ball) {
+    return ball.element || null;
+  }
+
+  // Classes for the selection highlight, hover feedback and pin marker
+  renderBallState(ball) {
+    const element = ball.element;
+    if (!element) return;
+    element.classList.toggle('selected', ball.selected);
+    element.classList.toggle('hovered', ball.hovered);
+    element.classList.toggle('pinned', ball.pinned);
+  }
+
+  removeBall(ball) {
+    if (ball.element) {
+      gsap.killTweensOf(ball.element);
+      ball.element.remove();
+    }
+    this.restingBalls.delete(ball);
+  }
+
+  // Remove the ball elements, keeping obstacles and other layers
+  clear() {
+    this.container.querySelectorAll('.ball').forEach((el) => el.remove());
+  }
+}
@@ -2,40 +2,377 @@
  * Ball Physics Simulation
  *
  * A realistic physics simulation featuring bouncing balls with gravity,
- * friction, and collision detection. This class handles all the physics
- * calculations and animation for multiple balls in a container, now with
- * the ability to drag and throw balls using mouse or touch input.
+ * friction, and collision detection. This class wires the headless physics
+ * World (world.js) to a renderer (renderer.js) and to pointer input, so
+ * balls can be dragged and thrown with a mouse, pen or fingers (several
+ * at once on touch screens).
+ *
+ * Each BallPhysics runs in its own container element, so a page can embed
+ * several independent simulations:
+ *
+ *   const widget = new BallPhysics(element, readContainerOptions(element));
+ *   widget.destroy(); // Stop it and remove its listeners
+ *
+ * The page's #container gets the default instance, `ballPhysics`, which the
+ * global control functions (addRandomBall(), resetHardAnimation(), ...) and
+ * the Settings panel act on.
  *
  * CONFIGURATION GUIDE:
  * ===================
  *
- * Physics Parameters (modify these in the constructor):
- * - ballSize:   Controls the diameter of all balls (e.g., 70)
- * - gravity:    Controls how fast balls fall (0.4 = normal, 0.2 = moon-like, 1.0 = heavy)
- * - friction:   Air resistance (0.98 = slight drag, 0.95 = more drag, 0.99 = less drag)
+ * Physics Parameters (all per second so the simulation runs the same on
+ * every frame rate). The Settings panel (settings-panel.js) changes the
+ * common ones live and keeps them in the page URL for sharing; from code,
+ * use getParameters() / setParameters(). Defaults live in the constructor.
+ * - ballSize:   Default diameter for balls without a size of their own (e.g., 70)
+ * - density:    Default mass per px² of ball area (0.1)
+ * - gravity:    Controls how fast balls fall in px/s² (1440 = normal, 720 = moon-like, 3600 = heavy)
+ * - gravityAngle: Direction gravity pulls in degrees (0 = down, 90 = right, 180 = up).
+ *               enableTilt() makes it follow the device's tilt (the Tilt button).
+ * - friction:   Air resistance, velocity kept per second (0.3 = slight drag, 0.05 = more drag, 0.55 = less drag)
  * - bounceDamping: Energy loss on bounce (0.95 = bouncy, 0.8 = realistic, 0.6 = dead bounce)
- * - groundFriction: Friction with the floor (0.99 = slippery, 0.9 = realistic, 0.7 = high friction)
+ * - groundFriction: Rolling resistance on the floor, velocity kept per second (0.55 = rolls far, 0.1 = realistic, 0.001 = stops at once)
+ * - contactFriction: Grip between surfaces, turns sliding into spin (0 = ice, 0.4 = rubbery, 1.0 = sticky)
+ * - stepRate:   Physics steps per second (120); maxSubSteps caps catch-up work per frame
+ * - dragMode:   'direct' (held balls follow the pointer exactly and nudge others
+ *               aside) or 'spring' (held balls are pulled by a spring and collide
+ *               normally, so they push piles around by mass). Also settable with
+ *               data-drag-mode="spring" on #container. dragFrequency (5 Hz),
+ *               dragDampingRatio (0.7) and dragMaxSpeed (2400) tune the spring.
+ * - sleepSpeed / sleepDelay: Balls slower than sleepSpeed (10 px/s) for sleepDelay
+ *               (0.5 s) sleep until something hits or moves them; allowSleep: false
+ *               keeps every ball simulated
+ * - maxBalls:   Most balls addRandomBall() will create (1000)
+ *
+ * Boundary (boundaries.js; constructor option `boundary`, or data-boundary
+ * on #container with a type name or a JSON definition):
+ * - 'rect':     The container's rectangle (default)
+ * - 'rounded':  The rectangle with the container's CSS border-radius, or
+ *               { type: 'rect', radius: 40 } for another radius
+ * - 'circle':   The largest circle that fits; 'bowl' is its lower half
+ * - 'path':     Any closed outline, e.g. { type: 'path', viewBox: '0 0 100 100',
+ *               path: 'M0 0 L100 0 L60 100 L40 100 Z' } (a funnel)
+ * Rects and circles take openTop: true; balls thrown out are removed.
+ * setBoundary() changes the shape at runtime.
+ *
+ * Rendering (constructor option, or data-renderer="canvas" on #container):
+ * - renderer:   'dom' (default) moves one div per ball; 'canvas' draws every
+ *               ball onto a single canvas, which scales to many more balls.
+ *               A custom renderer object can be passed as well.
+ *
+ * Effects (effects.js; constructor option `effects`, or data-effects on
+ * #container listing the ones to show, e.g. data-effects="squash trails"):
+ * - squash:     Balls squash along the impact and wobble back (on)
+ * - particles:  Sparks in the balls' colors at the contact point (on)
+ * - flash:      A ring flashing out from the contact point (on)
+ * - trails:     Fading ghosts behind fast balls (off)
+ * Change them at runtime with effects.configure({ trails: true }), or pass
+ * false to turn them all off. Throttling limits (minSpeed, cooldown,
+ * maxParticles, maxTrails) are configured the same way.
+ *
+ * Sound (sound.js; constructor option `sound`): every hit plays a knock
+ * synthesized with Web Audio, louder for harder hits and lower for bigger,
+ * heavier balls. The Mute button or sound.setMuted() silences it; options
+ * are muted, volume (0.5), maxVoices (8 knocks at once) and context (an
+ * AudioContext or OfflineAudioContext to play into).
+ *
+ * Per-ball Materials (data attributes on a `.ball`, or options passed to
+ * addRandomBall()):
+ * - size / radius: Ball size in px. Without either, a CSS width on the ball
+ *                (the `small` / `large` classes) is used, then `ballSize`.
+ * - mass or density: Mass directly, or mass per px² (default `density`)
+ * - restitution: Bounciness of this ball (default `bounceDamping`). Ball-ball
+ *                collisions combine both balls' values per `restitutionCombine`
+ *                ('average', 'min', 'max' or 'multiply').
+ * - friction:    Grip of this ball's surface (default `contactFriction`). Two
+ *                balls in contact use the geometric mean of theirs.
+ *
+ *   <div class="ball" data-size="90" data-density="0.5" data-restitution="0.3"></div>
+ *
+ * Obstacles (pegs, segments/ramps, convex polygons; see obstacles.js) are
+ * read from the container on startup, either as hidden markup:
+ *
+ *   <div class="obstacle" data-type="peg" data-x="120" data-y="200" data-radius="6"></div>
+ *   <div class="obstacle" data-type="ramp" data-x1="0" data-y1="300" data-x2="200" data-y2="360"></div>
+ *   <div class="obstacle" data-type="polygon" data-points="300,400 380,400 340,340"></div>
+ *
+ * or as a JSON array of the same definitions:
+ *
+ *   <script type="application/json" class="obstacles">[{ "type": "peg", ... }]</script>
+ *
+ * and can be changed at runtime with addObstacle() / loadObstacles().
+ *
+ * Constraints (rods, ropes and springs; see constraints.js) link two balls,
+ * or a ball and a fixed point, by ball id. They build pendulums, chains
+ * and Newton's cradles out of ordinary balls:
+ *
+ *   addConstraint({ type: 'rod', a: ball.id, x: 320, y: 40 });
+ *   addConstraint({ type: 'spring', a: 1, b: 2, length: 80, frequency: 3 });
+ *
+ * A reset removes them along with the balls.
+ *
+ * Force fields (attractors/repulsors, wind zones and mutual gravitation;
+ * see forces.js) act on every ball in reach:
+ *
+ *   addForce({ type: 'attractor', x: 320, y: 240, strength: 2000 });
+ *   addForce({ type: 'wind', ax: 600, x: 0, y: 0, width: 200, height: 480 });
+ *
+ * Balls from code: every ball has a stable numeric `id`, which the ball
+ * methods take (a ball object works as well):
+ * - addBall(options):  Add a ball; any of x, y, vx, vy, size/radius,
+ *                      mass/density, restitution, friction, rotation,
+ *                      vrotation, color, icon (an index into the icons) and
+ *                      id. Omitted ones are picked like addRandomBall()
+ *                      does, but the ball starts at rest.
+ * - removeBall(id), getBall(id)
+ * - getBallsAt(x, y):  Every ball covering a point, topmost first
+ * - applyImpulse(id, ix, iy):  Kick a ball (mass·px/s, so heavy balls move less)
+ * - setBallProperties(id, patch):  Change any addBall() option but id
+ *
+ *   const ball = ballPhysics.addBall({ x: 320, y: 100, size: 90, color: '#222' });
+ *   ballPhysics.applyImpulse(ball.id, 0, -ball.mass * 600);
+ *
+ * Like addRandomBall(), these are captured by recordings.
+ *
+ * Selection and pinning: tapping a ball selects it (tapping it again or
+ * pressing empty space deselects), and the selected ball is highlighted.
+ * pin() fixes the selected ball (or a given one) in place as a static
+ * obstacle until unpin(); the Pin button toggles it. select(id) selects
+ * from code, and addBall({ pinned: true }) adds a pinned ball. Pins are
+ * recorded, the selection is not.
+ *
+ * Ball Content (options of addBall() and setBallProperties()):
+ * - label:      Text, broken into lines and sized to fit the ball
+ * - image:      An image URL or data URI, cropped to the circle
+ * - svg / html: Markup shown in the ball instead of a built-in icon (html
+ *               is not drawn by the canvas renderer)
+ * - color / gradient: A CSS color, or a list of them filling the ball
+ *               from the top left to the bottom right
+ * - onClick:    Called with (ball, event) when the ball is tapped
+ * - ariaLabel:  What screen readers call the ball, if not its label
+ * Balls with content of their own get no random icon. addBalls() creates
+ * a ball per data item, optionally sized by a `weight` like a bubble chart:
+ *
+ *   ballPhysics.addBalls(
+ *     skills.map((skill) => ({
+ *       label: skill.name,
+ *       weight: skill.years,
+ *       onClick: () => showSkill(skill),
+ *     })),
+ *     { minSize: 40, maxSize: 140 }
+ *   );
+ *
+ * `.ball` markup takes data-label and data-image. Snapshots keep content
+ * but not onClick handlers.
+ *
+ * Accessibility (see accessibility.js): every ball can be reached with Tab
+ * and is announced by its `ariaLabel` (or label). Arrow keys nudge the
+ * focused ball, Shift + arrows throw it through flickBall(), Enter taps it
+ * and P pins it. A live region announces selections, pins, added and
+ * removed balls and resets. The `reducedMotion` parameter (on by default
+ * under prefers-reduced-motion) halves spawn and throw speeds, spawns
+ * balls without spin and turns the collision effects off.
+ *
+ * Time (the Pause, Step and Speed buttons):
+ * - pause() / resume():  Freeze and continue the physics without losing
+ *               the scene; the page being hidden pauses it too (constructor
+ *               option pauseWhenHidden: false turns that off)
+ * - step():     Pause and advance exactly one physics tick
+ * - setTimeScale(scale):  Slow motion below 1 (0.25 = quarter speed),
+ *               fast-forward above it, up to 4
+ *
+ *   ballPhysics.setTimeScale(0.1); // Watch a pile collapse in slow motion
+ *
+ * Events: BallPhysics is an EventEmitter (see emitter.js). on(type, listener)
+ * returns a function that unsubscribes again; each listener gets one object:
+ * - collision:  { ball1, ball2, impulse, speed, x, y, normalX, normalY }
+ * - wallHit:    { ball, wall ('left', 'right', 'top', 'bottom' or
+ *               'obstacle'), obstacle, impulse, speed, x, y, normalX, normalY }
+ * - dragStart:  { ball, x, y }
+ * - dragEnd:    { ball, vx, vy }, followed by throw when the ball leaves
+ *               the hand moving
+ * - throw:      { ball, vx, vy, speed }
+ * - click:      { ball, x, y } when a ball is tapped: pressed and let go
+ *               within tapDistance (6 px) and tapTime (300 ms, both
+ *               constructor options). It is let go of where it is instead
+ *               of being thrown.
+ * - select:     { ball, previous } (ball is null when deselected)
+ * - hover:      { ball, previous } as a mouse or pen moves over balls
+ * - pin / unpin: { ball }
+ * - parameters: { parameters } after setParameters() (including the
+ *               gravityAngle changes of tilt), with the values it was given
+ * - pause:      { hidden } (true when paused because the page was hidden)
+ * - resume:     {}
+ * - ballAdded / ballRemoved / sleep / wake: { ball }
+ * - reset:      { type } ('soft', 'hard' or 'load'), once the new scene is in
+ * Impulses are in mass·px/s, speeds in px/s. Only impacts are reported, not
+ * balls resting on each other.
+ *
+ *   ballPhysics.on('collision', (event) => console.log(event.impulse));
+ *
+ * Snapshots and Replay:
+ * - serialize() captures the whole scene (balls, boundary, obstacles,
+ *   parameters and the random generator) as JSON-compatible data; load(json) restores it.
+ * - Random placement uses a seeded generator (constructor option `seed`),
+ *   so the same seed drops the same balls.
+ * - startRecording() / stopRecording() capture a snapshot plus every drag,
+ *   throw, added ball and parameter change, stamped with the physics step
+ *   it happened at;
+ *   replay(recording) plays that back bit-identically.
  *
  * IMPORTANT: When changing the ball size, the JavaScript automatically updates
  * the DOM element dimensions to match. You don't need to modify CSS separately.
  */
 
-class BallPhysics {
-  constructor() {
+// Numeric ball options that can be set with data attributes
+const BALL_DATA_ATTRIBUTES = [
+  'size',
+  'radius',
+  'mass',
+  'density',
+  'restitution',
+  'friction',
+];
+
+// Ball properties setBallProperties() can change
+const BALL_PROPERTIES = [
+  'x',
+  'y',
+  'vx',
+  'vy',
+  'rotation',
+  'vrotation',
+  'size',
+  'radius',
+  'mass',
+  'density',
+  'restitution',
+  'friction',
+  'color',
+  'gradient',
+  'icon',
+  'svg',
+  'html',
+  'image',
+  'label',
+  'onClick',
+  'ariaLabel',
+];
+
+// Speed of spawned and thrown balls under reduced motion, relative to normal
+const REDUCED_MOTION_SCALE = 0.5;
+// Duration (ms) of the virtual flick that flickBall() throws with
+const FLICK_TIME = 100;
+// Fastest fast-forward; beyond it a 60 fps frame needs more than the
+// world's maxSubSteps (8) steps at 120 steps/s and time is dropped
+const MAX_TIME_SCALE = 4;
+
+// Ball content that can be set with data attributes (data-label, data-image)
+const BALL_CONTENT_ATTRIBUTES = ['label', 'image'];
+
+// World events passed on to BallPhysics listeners unchanged
+const WORLD_EVENTS = [
+  'collision',
+  'wallHit',
+  'ballAdded',
+  'ballRemoved',
+  'sleep',
+  'wake',
+];
+
+class BallPhysics extends EventEmitter {
+  /**
+   * @param {HTMLElement} [container] - Element the balls live in; without
+   *   it (new BallPhysics(options)) the page's #container is used
+   * @param {Object} [options]
+   * @param {string|Object} [options.renderer] - 'dom', 'canvas' or a
+   *   renderer instance (see renderer.js for the interface)
+   * @param {number} [options.seed] - Seed for random ball placement
+   * @param {string} [options.dragMode] - 'direct' (default) moves a held
+   *   ball with the pointer; 'spring' pulls it along so it collides
+   * @param {Object|string|boolean} [options.effects] - Collision effects
+   *   settings (see EffectsLayer.configure)
+   * @param {Object} [options.sound] - Impact sound settings (see sound.js)
+   * @param {Object|string} [options.boundary] - Shape of the container's
+   *   walls (see setBoundary)
+   * @param {number} [options.tapDistance] - How far (px) a pointer may
+   *   move for its press on a ball to count as a tap (6)
+   * @param {number} [options.tapTime] - How long (ms) a tap may take (300)
+   * @param {boolean} [options.reducedMotion] - Calmer motion (see
+   *   setParameters); follows prefers-reduced-motion when left out
+   * @param {boolean} [options.pauseWhenHidden] - Pause while the page is
+   *   hidden and resume when it is shown again (true)
+   */
+  constructor(container, options = {}) {
+    super();
+    if (!(container instanceof Element)) {
+      options = container || {};
+      container = document.getElementById('container');
+    }
+
     // DOM reference to the container element
-    this.container = document.getElementById('container');
-    this.balls = [];
+    this.container = container;
+    this.renderer = this.createRenderer(options.renderer);
 
     // PHYSICS PARAMETERS - MODIFY THESE TO CHANGE BEHAVIOR
     this.ballSize = 70;
-    this.gravity = 0.4;
-    this.friction = 0.98;
-    this.groundFriction = 0.99;
-    this.bounceDamping = 0.95;
-    this.maxThrowVelocity = 15; // Reduced from 800 to a reasonable value
-    this.velocityMultiplier = 0.3; // Scale factor for throw velocity
+    this.density = 0.1;
+    this.world = new World({
+      gravity: 1440,
+      friction: 0.3,
+      groundFriction: 0.55,
+      bounceDamping: 0.95,
+      contactFriction: 0.4,
+      restitutionCombine: 'average',
+      stepRate: 120,
+      maxSubSteps: 8,
+      boundary: this.resolveBoundary(options.boundary),
+      onBeforeStep: (stepCount) => this.playRecordedInputs(stepCount),
+    });
+    this.random = new SeededRandom(options.seed);
+    WORLD_EVENTS.forEach((type) => {
+      this.world.on(type, (event) => this.emit(type, event));
+    });
+    this.world.on('ballRemoved', ({ ball }) => {
+      if (this.renderer.removeBall) this.renderer.removeBall(ball);
+      // A pointer holding it lets go of nothing
+      this.pointerDrags.forEach((held, pointerId) => {
+        if (held === ball) this.pointerDrags.delete(pointerId);
+      });
+      if (ball === this.selectedBall) this.select(null);
+      if (ball === this.hoveredBall) this.setHovered(null);
+    });
+    this.effects = new EffectsLayer(this, this.container, options.effects);
+    this.sound = new ImpactSound(this, options.sound);
+    this.reducedMotion = false;
+    this.savedEffects = null; // Effects settings while reduced motion is on
+
+    // Input recording and playback (see startRecording / replay)
+    this.recording = null;
+    this.playback = null;
+    this.tilt = null; // TiltSource once enableTilt() is called
+    this.dragMode = options.dragMode || 'direct';
+    this.maxThrowVelocity = 900; // px/s
+    this.velocityMultiplier = 18; // Scale factor from drag speed to throw speed
+    this.maxBalls = 1000; // Cap for addRandomBall()
+    // A pointer that goes up within tapDistance (px) and tapTime (ms) of
+    // going down on a ball taps it instead of throwing it
+    this.tapDistance = options.tapDistance ?? 6;
+    this.tapTime = options.tapTime ?? 300;
+    this.selectedBall = null;
+    this.hoveredBall = null; // Under a mouse or pen (not a finger)
+    this.accessibility = new BallAccessibility(this, this.container, {
+      reducedMotion: options.reducedMotion,
+    });
 
-    this.running = false;
+    this.running = false; // The animation loop is going
+    this.paused = false; // Physics stands still; the loop keeps drawing
+    this.pausedWhileHidden = false; // Paused by the page being hidden
+    this.pauseWhenHidden = options.pauseWhenHidden ?? true;
+    this.timeScale = 1; // Simulated seconds per real second
+    this.destroyed = false;
+    this.resetTimer = null;
+    this.resizeTimer = null;
     this.colors = [
       '#ff6b6b',
       '#4ecdc4',
@@ -52,427 +389,1079 @@ class BallPhysics {
       '<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M22 12l-4-4v3H3v2h15v3l4-4z" fill="#fff"/></svg>',
     ];
 
-    // Add document-level event listeners for dragging
-    document.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-    document.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-    document.addEventListener('touchmove', (e) => this.handleTouchMove(e), {
-      passive: false,
+    // Pointer Events cover mouse, pen and touch alike. Every pointer (each
+    // finger on a touch screen) drags its own ball, so several balls can be
+    // held and thrown at once.
+    this.pointerDrags = new Map(); // pointerId -> dragged ball
+    // pointerId -> { ball, x, y, time } of a press on a ball, to tell taps
+    // from drags (pinned balls are pressed but not dragged)
+    this.pointerStarts = new Map();
+
+    // [target, type, listener] for every listener, so destroy() can
+    // remove them again
+    this.domListeners = [
+      [this.container, 'pointerdown', (e) => this.handlePointerDown(e)],
+      [document, 'pointermove', (e) => this.handlePointerMove(e)],
+      [document, 'pointerup', (e) => this.handlePointerUp(e)],
+      [document, 'pointercancel', (e) => this.handlePointerUp(e)],
+      [window, 'resize', () => this.scheduleResize()],
+      [document, 'visibilitychange', () => this.handleVisibilityChange()],
+    ];
+    this.domListeners.forEach(([target, type, listener]) => {
+      target.addEventListener(type, listener);
     });
-    document.addEventListener('touchend', (e) => this.handleTouchEnd(e));
 
     this.init();
   }
 
+  /**
+   * Stop the simulation for good and remove its listeners, so it can be
+   * dropped along with its container. The balls stay where they are.
+   */
+  destroy() {
+    this.stop();
+    this.destroyed = true;
+    clearTimeout(this.resetTimer);
+    clearTimeout(this.resizeTimer);
+    this.domListeners.forEach(([target, type, listener]) => {
+      target.removeEventListener(type, listener);
+    });
+    this.pointerDrags.clear();
+    this.pointerStarts.clear();
+    this.playback = null;
+    if (this.tilt) this.tilt.stop();
+    this.accessibility.destroy();
+    this.effects.destroy();
+    this.sound.destroy();
+  }
+
+  createRenderer(renderer = 'dom') {
+    if (renderer && typeof renderer === 'object') return renderer;
+    if (renderer === 'canvas') return new CanvasRenderer(this.container);
+    return new DomRenderer(this.container);
+  }
+
+  // Ball state lives in the physics world
+  get balls() {
+    return this.world.balls;
+  }
+
   init() {
+    this.syncBounds();
+    this.loadObstacles(this.readObstacleDefinitions());
     this.setupBalls();
     this.startAnimation();
   }
 
-  setupBalls() {
-    const ballElements = document.querySelectorAll('.ball');
-    const containerRect = this.container.getBoundingClientRect();
+  /**
+   * Collect obstacle definitions declared inside the container, from
+   * `.obstacle` elements and `script.obstacles` JSON blocks.
+   */
+  readObstacleDefinitions() {
+    const definitions = [];
+
+    this.container.querySelectorAll('.obstacle').forEach((element) => {
+      const definition = { type: element.dataset.type };
+      Object.keys(element.dataset).forEach((name) => {
+        if (name === 'type') return;
+        if (name === 'points') {
+          definition.points = element.dataset.points
+            .trim()
+            .split(/\s+/)
+            .map((pair) => pair.split(',').map(Number));
+        } else {
+          definition[name] = parseFloat(element.dataset[name]);
+        }
+      });
+      definitions.push(definition);
+    });
 
-    ballElements.forEach((element, index) => {
-      const size = this.ballSize;
-      const radius = size / 2;
-      element.style.width = size + 'px';
-      element.style.height = size + 'px';
-      element.innerHTML = this.svgs[index % this.svgs.length];
+    this.container
+      .querySelectorAll('script.obstacles[type="application/json"]')
+      .forEach((script) => {
+        definitions.push(...JSON.parse(script.textContent));
+      });
 
-      const ball = {
-        element: element,
-        x: Math.random() * (containerRect.width - size) + radius,
-        y: -70,
-        vx: (Math.random() - 0.5) * 8,
-        vy: (Math.random() - 0.5) * 8,
-        radius: radius,
-        size: size,
-        color: this.colors[index % this.colors.length],
-        mass: Math.PI * radius * radius * 0.1,
-        // Improved dragging properties
-        isDragging: false,
-        dragOffsetX: 0,
-        dragOffsetY: 0,
-        dragStartTime: 0,
-        dragPositions: [], // Store recent positions for better velocity calculation
-        maxPositionHistory: 5, // Keep last 5 positions
-        rotation: 0, // Initial rotation angle
-        vrotation: (Math.random() - 0.5) * 5, // Initial rotational velocity
-      };
+    return definitions;
+  }
 
-      gsap.set(element, {
-        x: ball.x - radius,
-        y: ball.y - radius,
-        backgroundColor: ball.color,
-      });
+  /**
+   * Replace all obstacles with the given definitions (a JSON array).
+   */
+  loadObstacles(definitions) {
+    this.world.clearObstacles();
+    definitions.forEach((definition) => this.world.addObstacle(definition));
+    this.renderer.renderObstacles(this.world.obstacles);
+  }
 
-      this.balls.push(ball);
+  /**
+   * Add one obstacle, e.g. { type: 'peg', x: 120, y: 200, radius: 6 }.
+   * @returns {Object} The obstacle instance, for removeObstacle()
+   */
+  addObstacle(definition) {
+    const obstacle = this.world.addObstacle(definition);
+    this.renderer.renderObstacles(this.world.obstacles);
+    return obstacle;
+  }
 
-      // Add drag event listeners to each ball
-      element.addEventListener('mousedown', (e) => {
-        e.preventDefault();
-        this.startDrag(ball, e);
-      });
-      element.addEventListener(
-        'touchstart',
-        (e) => {
-          e.preventDefault();
-          if (e.touches.length === 1) {
-            this.startDrag(ball, e.touches[0]);
-          }
-        },
-        { passive: false }
-      );
-    });
+  removeObstacle(obstacle) {
+    this.world.removeObstacle(obstacle);
+    this.renderer.renderObstacles(this.world.obstacles);
   }
 
-  startAnimation() {
-    if (this.running) return;
-    this.running = true;
-    this.animate();
+  /**
+   * Link two balls, or a ball and a fixed point, e.g.
+   * { type: 'rope', a: ball.id, x: 320, y: 40, length: 120 }.
+   * @returns {Object} The constraint instance, for removeConstraint()
+   */
+  addConstraint(definition) {
+    return this.world.addConstraint(definition);
   }
 
-  animate() {
-    if (!this.running) return;
-    const containerWidth = this.container.clientWidth;
-    const containerHeight = this.container.clientHeight;
+  removeConstraint(constraint) {
+    this.world.removeConstraint(constraint);
+  }
 
-    this.balls.forEach((ball) => {
-      if (!ball.isDragging) {
-        // Apply physics only to non-dragged balls
-        ball.vy += this.gravity;
-        ball.vx *= this.friction;
-        ball.vy *= this.friction;
-        ball.x += ball.vx;
-        ball.y += ball.vy;
-
-        // Apply velocity damping when balls are moving very slowly (reduces shaking)
-        const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
-        if (speed < 0.1) {
-          ball.vx *= 0.9;
-          ball.vy *= 0.9;
-          ball.vrotation *= 0.9; // Add damping for rotation
-        }
+  /**
+   * Add a force field, e.g. { type: 'attractor', x: 320, y: 240 } or
+   * { type: 'wind', ax: 600 } (see forces.js).
+   * @returns {Object} The force instance, for removeForce()
+   */
+  addForce(definition) {
+    return this.world.addForce(definition);
+  }
 
-        // Wall collision detection with proper bounds checking
-        if (ball.x - ball.radius <= 0) {
-          ball.x = ball.radius;
-          ball.vx = -ball.vx * this.bounceDamping;
-          ball.vrotation *= -1; // Reverse rotation on wall hit
-        } else if (ball.x + ball.radius >= containerWidth) {
-          ball.x = containerWidth - ball.radius;
-          ball.vx = -ball.vx * this.bounceDamping;
-          ball.vrotation *= -1; // Reverse rotation on wall hit
-        }
-        if (ball.y - ball.radius <= 0) {
-          ball.y = ball.radius;
-          ball.vy = -ball.vy * this.bounceDamping;
-        } else if (ball.y + ball.radius >= containerHeight) {
-          ball.y = containerHeight - ball.radius;
-          ball.vy = -ball.vy * this.bounceDamping;
-          ball.vx *= this.groundFriction;
-          ball.vrotation *= this.groundFriction; // Apply friction to rotation
-        }
+  removeForce(force) {
+    this.world.removeForce(force);
+  }
 
-        // Additional bounds safety check (prevents balls from going outside on resize)
-        ball.x = Math.max(
-          ball.radius,
-          Math.min(containerWidth - ball.radius, ball.x)
-        );
-        ball.y = Math.max(
-          ball.radius,
-          Math.min(containerHeight - ball.radius, ball.y)
-        );
-
-        // Update rotation
-        ball.rotation += ball.vrotation;
-      }
+  /**
+   * Let gravity follow the device's tilt. Call from a click or tap handler
+   * so iOS can ask for permission.
+   * @returns {Promise<boolean>} Whether tilt is now followed
+   */
+  enableTilt() {
+    if (!this.tilt) {
+      this.tilt = new TiltSource((angle) =>
+        this.setParameters({ gravityAngle: angle })
+      );
+    }
+    return this.tilt.start();
+  }
 
-      // Update DOM position for all balls
-      gsap.set(ball.element, {
-        x: ball.x - ball.radius,
-        y: ball.y - ball.radius,
-        rotation: ball.rotation, // Apply rotation
-      });
-    });
+  // Stop following the tilt and let gravity point down again
+  disableTilt() {
+    if (!this.tilt) return;
+    this.tilt.stop();
+    this.setParameters({ gravityAngle: 0 });
+  }
 
-    this.checkBallCollisions();
-    requestAnimationFrame(() => this.animate());
+  // Copy the renderer's drawing area size into the physics world
+  syncBounds() {
+    const { width, height } = this.renderer.measure();
+    this.world.setBounds(width, height);
+    this.renderBoundary();
   }
 
-  checkBallCollisions() {
-    for (let i = 0; i < this.balls.length; i++) {
-      for (let j = i + 1; j < this.balls.length; j++) {
-        const ball1 = this.balls[i];
-        const ball2 = this.balls[j];
-        // Skip collision checks if either ball is being dragged
-        if (ball1.isDragging || ball2.isDragging) continue;
+  /**
+   * Change the shape of the container's walls and bring the balls inside.
+   * @param {Object|string} definition - A boundary definition or type name
+   *   such as 'circle' (see boundaries.js)
+   * @returns {Object} The boundary instance
+   */
+  setBoundary(definition) {
+    const boundary = this.world.setBoundary(this.resolveBoundary(definition));
+    this.renderBoundary();
+    return boundary;
+  }
 
-        const dx = ball2.x - ball1.x;
-        const dy = ball2.y - ball1.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const minDistance = ball1.radius + ball2.radius;
+  /**
+   * Complete a boundary definition from the page: JSON text is parsed, and
+   * a 'rounded' rect without a radius takes the container's border-radius.
+   */
+  resolveBoundary(definition = 'rect') {
+    if (typeof definition === 'string') {
+      definition = definition.trim().startsWith('{')
+        ? JSON.parse(definition)
+        : { type: definition };
+    }
+    if (definition.type === 'rounded' && definition.radius === undefined) {
+      const style = getComputedStyle(this.container);
+      definition = {
+        ...definition,
+        radius: parseFloat(style.borderTopLeftRadius) || 0,
+      };
+    }
+    return definition;
+  }
 
-        if (distance < minDistance) {
-          this.handleBallCollision(ball1, ball2, dx, dy, distance, minDistance);
-        }
-      }
+  renderBoundary() {
+    if (this.renderer.renderBoundary) {
+      this.renderer.renderBoundary(this.world.boundary);
     }
   }
 
-  handleBallCollision(ball1, ball2, dx, dy, distance, minDistance) {
-    const overlap = minDistance - distance;
-    const normalX = dx / distance;
-    const normalY = dy / distance;
+  /**
+   * Build the physics state for a ball and hook it up to its element.
+   * @param {HTMLElement|null} element - The ball's DOM element, if the
+   *   renderer uses one
+   * @param {Object} state - Initial position, velocity, color and icon,
+   *   plus optional size/radius, mass/density, restitution and friction,
+   *   rotation and id (as produced by serialize())
+   * @param {Object} [mountOptions] - Passed through to the renderer
+   */
+  createBall(element, state, mountOptions = {}) {
+    const radius = this.getBallRadius(state);
+    const size = radius * 2;
+    const density = state.density ?? this.density;
 
-    // Separate balls with improved overlap resolution
-    const totalMass = ball1.mass + ball2.mass;
-    const separationX = overlap * (ball2.mass / totalMass) * normalX;
-    const separationY = overlap * (ball2.mass / totalMass) * normalY;
+    const ball = {
+      id: state.id,
+      element: element,
+      x: state.x,
+      y: state.y,
+      vx: state.vx,
+      vy: state.vy,
+      radius: radius,
+      size: size,
+      // Follows ballSize when it changes (see setParameters)
+      usesDefaultSize:
+        state.usesDefaultSize ?? (!state.radius && !state.size),
+      color: state.color,
+      gradient: state.gradient,
+      icon: state.icon,
+      svg: state.svg,
+      html: state.html,
+      image: state.image,
+      label: state.label,
+      ariaLabel: state.ariaLabel, // Spoken name; see getBallName()
+      onClick: state.onClick,
+      mass: state.mass ?? Math.PI * radius * radius * density,
+      // Material; undefined falls back to the world's defaults
+      restitution: state.restitution,
+      friction: state.friction,
+      inertia: state.inertia,
+      // Improved dragging properties
+      isDragging: false,
+      sleeping: state.sleeping || false, // See World.updateSleep
+      pinned: false, // See pin()
+      selected: false,
+      hovered: false,
+      sleepTime: state.sleepTime || 0,
+      dragTarget: null, // Pointer position in spring drag mode
+      dragOffsetX: 0,
+      dragOffsetY: 0,
+      dragStartTime: 0,
+      dragPositions: [], // Store recent positions for better velocity calculation
+      maxPositionHistory: 5, // Keep last 5 positions
+      rotation: state.rotation || 0, // Initial rotation angle
+      vrotation: state.vrotation ?? 0, // Initial rotational velocity
+    };
 
-    ball1.x -= separationX;
-    ball1.y -= separationY;
-    ball2.x += overlap * (ball1.mass / totalMass) * normalX;
-    ball2.y += overlap * (ball1.mass / totalMass) * normalY;
+    this.renderer.mountBall(ball, {
+      content: this.getBallContent(ball),
+      ...mountOptions,
+    });
+    this.world.addBall(ball);
+    if (state.pinned) {
+      this.world.pinBall(ball);
+      this.renderBallState(ball);
+    }
 
-    // Calculate relative velocity
-    const rvx = ball2.vx - ball1.vx;
-    const rvy = ball2.vy - ball1.vy;
-    const velAlongNormal = rvx * normalX + rvy * normalY;
+    return ball;
+  }
+
+  // What the renderer shows inside a ball
+  getBallContent(ball) {
+    return {
+      svg: ball.svg ?? this.svgs[ball.icon],
+      html: ball.html,
+      image: ball.image,
+      label: ball.label,
+    };
+  }
 
-    // Don't resolve if velocities are separating
-    if (velAlongNormal > 0) return;
+  // Whether ball options bring content of their own instead of an icon
+  hasOwnContent(options) {
+    const { svg, html, image, label } = options;
+    return Boolean(svg || html || image || label);
+  }
 
-    // Add minimum separation to prevent micro-oscillations
-    const minSeparation = 0.1;
-    if (Math.abs(velAlongNormal) < minSeparation) {
-      // Apply small separation force to prevent sticking
-      ball1.vx -= normalX * minSeparation;
-      ball1.vy -= normalY * minSeparation;
-      ball2.vx += normalX * minSeparation;
-      ball2.vy += normalY * minSeparation;
-      return;
+  getBallRadius(options) {
+    if (options.radius) return options.radius;
+    if (options.size) return options.size / 2;
+    return this.ballSize / 2;
+  }
+
+  /**
+   * Read ball options from a `.ball` element: numeric data attributes, and
+   * its CSS width as the size when no size is given.
+   */
+  readBallOptions(element) {
+    const options = {};
+    BALL_DATA_ATTRIBUTES.forEach((name) => {
+      const value = parseFloat(element.dataset[name]);
+      if (!isNaN(value)) options[name] = value;
+    });
+    BALL_CONTENT_ATTRIBUTES.forEach((name) => {
+      if (element.dataset[name]) options[name] = element.dataset[name];
+    });
+
+    if (!options.size && !options.radius) {
+      // Measure the stylesheet size, not the one set when it was last mounted
+      element.style.width = '';
+      element.style.height = '';
+      const cssWidth = parseFloat(getComputedStyle(element).width);
+      if (cssWidth > 0) options.size = cssWidth;
     }
+    return options;
+  }
 
-    const e = this.bounceDamping;
-    const j = (-(1 + e) * velAlongNormal) / (1 / ball1.mass + 1 / ball2.mass);
-    const impulseX = j * normalX;
-    const impulseY = j * normalY;
+  // The options that recreate a ball with the same size and material
+  getBallMaterial(ball) {
+    return {
+      radius: ball.radius,
+      mass: ball.mass,
+      restitution: ball.restitution,
+      friction: ball.friction,
+    };
+  }
 
-    ball1.vx -= impulseX / ball1.mass;
-    ball1.vy -= impulseY / ball1.mass;
-    ball2.vx += impulseX / ball2.mass;
-    ball2.vy += impulseY / ball2.mass;
+  /**
+   * Drop a fresh set of balls in from the top.
+   * @param {Array} [ballSources] - One entry per ball: its element, a ball
+   *   options object (for renderers without elements), or null. Defaults to
+   *   the `.ball` markup.
+   */
+  setupBalls(ballSources = this.container.querySelectorAll('.ball')) {
+    const motion = this.getMotionScale();
+    ballSources.forEach((source, index) => {
+      const isElement = source instanceof Element;
+      const options = isElement ? this.readBallOptions(source) : source || {};
+      const radius = this.getBallRadius(options);
+      const { minX, maxX } = this.world.boundary.getDropRange(radius);
+
+      this.createBall(isElement ? source : null, {
+        ...options,
+        x: minX + this.random.next() * (maxX - minX),
+        y: -70,
+        vx: (this.random.next() - 0.5) * 480 * motion,
+        vy: (this.random.next() - 0.5) * 480 * motion,
+        color: this.colors[index % this.colors.length],
+        icon: this.hasOwnContent(options)
+          ? undefined
+          : index % this.svgs.length,
+        vrotation: (this.random.next() - 0.5) * 300 * this.getSpinScale(),
+      });
+    });
+  }
 
-    // Adjust rotation on collision
-    const angularImpulse = (rvx * normalY - rvy * normalX) * 0.5; // Simplified angular impulse, increased for more noticeable effect
-    ball1.vrotation -= angularImpulse / ball1.mass;
-    ball2.vrotation += angularImpulse / ball2.mass;
+  // How fast balls are spawned and thrown: slower under reduced motion
+  getMotionScale() {
+    return this.reducedMotion ? REDUCED_MOTION_SCALE : 1;
+  }
 
-    // Apply additional damping to reduce oscillations
-    const dampingFactor = 0.98;
-    ball1.vx *= dampingFactor;
-    ball1.vy *= dampingFactor;
-    ball2.vx *= dampingFactor;
-    ball2.vy *= dampingFactor;
+  // Balls are spawned without spin under reduced motion
+  getSpinScale() {
+    return this.reducedMotion ? 0 : 1;
+  }
 
-    this.createCollisionEffect(ball1, ball2);
+  startAnimation() {
+    if (this.running || this.destroyed) return;
+    this.running = true;
+    this.lastFrameTime = null;
+    requestAnimationFrame((time) => this.animate(time));
   }
 
-  createCollisionEffect(ball1, ball2) {
-    // Optional: Add visual feedback for collisions
+  animate(time) {
+    if (!this.running) return;
+
+    // Elapsed wall-clock time in seconds; the world turns it into fixed steps
+    const elapsed =
+      this.lastFrameTime === null ? 0 : (time - this.lastFrameTime) / 1000;
+    this.lastFrameTime = time;
+
+    // While paused, held balls still follow the pointer
+    if (this.paused) {
+      this.renderer.render(this.balls, 1, this.world.constraints);
+    } else {
+      const alpha = this.world.advance(elapsed * this.timeScale);
+      this.renderer.render(this.balls, alpha, this.world.constraints);
+      this.effects.update(this.balls);
+    }
+
+    requestAnimationFrame((t) => this.animate(t));
   }
 
   resetSoft() {
     this.stop();
-    this.balls = [];
-    setTimeout(() => {
-      this.setupBalls();
+    this.forgetInteraction();
+    const ballSources = this.balls.map(
+      (ball) => ball.element || this.getBallMaterial(ball)
+    );
+    this.world.clear();
+    clearTimeout(this.resetTimer);
+    this.resetTimer = setTimeout(() => {
+      this.setupBalls(ballSources);
       this.startAnimation();
+      this.emit('reset', { type: 'soft' });
     }, 100);
   }
 
   resetHard(numBalls = 4) {
     this.stop();
-    this.balls = [];
-    this.container.innerHTML = '';
+    this.forgetInteraction();
+    this.world.clear();
+    this.renderer.clear();
+    const ballElements = [];
     for (let i = 0; i < numBalls; i++) {
-      const newBallElement = document.createElement('div');
-      newBallElement.className = 'ball';
-      this.container.appendChild(newBallElement);
+      ballElements.push(this.renderer.createBallElement());
     }
-    setTimeout(() => {
-      this.setupBalls();
+    clearTimeout(this.resetTimer);
+    this.resetTimer = setTimeout(() => {
+      this.setupBalls(ballElements);
       this.startAnimation();
+      this.emit('reset', { type: 'hard' });
     }, 50);
   }
 
-  // NEW: Smart resize handling method
+  // Debounced, so dragging a window bigger settles the balls only once
+  scheduleResize() {
+    clearTimeout(this.resizeTimer);
+    this.resizeTimer = setTimeout(() => this.handleResize(), 100);
+  }
+
+  // Smart resize handling method
   handleResize() {
-    const containerWidth = this.container.clientWidth;
-    const containerHeight = this.container.clientHeight;
+    this.syncBounds();
+    this.world.settleInBounds();
+  }
 
-    // Reset velocities to prevent supersonic speeds
-    this.balls.forEach((ball) => {
-      ball.vx = 0;
-      ball.vy = 0;
+  /**
+   * Drop a ball with random position, color and icon in from the top.
+   * @param {Object} [options] - Size and material (see createBall)
+   */
+  addRandomBall(options = {}) {
+    if (this.balls.length >= this.maxBalls) return;
+    // Spawn speeds depend on reduced motion, which replays leave alone
+    this.recordInput({
+      type: 'addRandomBall',
+      options,
+      reducedMotion: this.reducedMotion,
+    });
 
-      // Ensure balls are within new container bounds
-      ball.x = Math.max(
-        ball.radius,
-        Math.min(containerWidth - ball.radius, ball.x)
-      );
-      ball.y = Math.max(
-        ball.radius,
-        Math.min(containerHeight - ball.radius, ball.y)
-      );
+    const radius = this.getBallRadius(options);
+    const { minX, maxX } = this.world.boundary.getDropRange(radius);
+    const motion = this.getMotionScale();
+
+    this.createBall(
+      this.renderer.createBallElement(),
+      {
+        ...options,
+        x: minX + this.random.next() * (maxX - minX),
+        y: radius + 10,
+        vx: (this.random.next() - 0.5) * 600 * motion,
+        vy: this.random.next() * 180 * motion,
+        color: this.colors[Math.floor(this.random.next() * this.colors.length)],
+        icon: Math.floor(this.random.next() * this.svgs.length),
+        vrotation: (this.random.next() - 0.5) * 300 * this.getSpinScale(),
+      },
+      { animateIn: true }
+    );
+  }
 
-      // If ball is outside vertically, move it to a safe position
-      if (ball.y > containerHeight - ball.radius) {
-        ball.y = containerHeight - ball.radius;
+  /**
+   * Add a ball. Options left out are picked as addRandomBall() picks them,
+   * except that the ball starts at rest and balls with content of their
+   * own get no icon.
+   * @param {Object} [options] - Position, velocity, size and material
+   *   (see createBall), rotation, id, icon index and content (see the
+   *   configuration guide)
+   * @returns {Object} The ball
+   */
+  addBall(options = {}) {
+    if (options.id !== undefined && this.world.getBallById(options.id)) {
+      throw new Error(`A ball with id ${options.id} already exists`);
+    }
+    this.recordInput({ type: 'addBall', options });
+
+    const radius = this.getBallRadius(options);
+    const { minX, maxX } = this.world.boundary.getDropRange(radius);
+
+    return this.createBall(
+      this.renderer.createBallElement(),
+      {
+        x: minX + this.random.next() * (maxX - minX),
+        y: radius + 10,
+        vx: 0,
+        vy: 0,
+        // Sparks from a gradient ball take its first color
+        color: options.gradient
+          ? options.gradient[0]
+          : this.colors[Math.floor(this.random.next() * this.colors.length)],
+        icon: this.hasOwnContent(options)
+          ? undefined
+          : Math.floor(this.random.next() * this.svgs.length),
+        ...options,
+      },
+      { animateIn: true }
+    );
+  }
+
+  /**
+   * Add a ball per data item, e.g. { label: 'CSS', weight: 3, onClick }.
+   * Items take every addBall() option, plus an optional numeric `weight`:
+   * items without a size of their own then get ball areas in proportion
+   * to their weights, the heaviest at maxSize and none below minSize.
+   * @param {Array<Object>} items
+   * @param {Object} [options]
+   * @param {number} [options.minSize] - Smallest weighted ball size (30 px)
+   * @param {number} [options.maxSize] - Heaviest ball's size (120 px)
+   * @returns {Array<Object>} The balls, in the order of the items
+   */
+  addBalls(items, { minSize = 30, maxSize = 120 } = {}) {
+    const weights = items
+      .map((item) => item.weight)
+      .filter((weight) => Number.isFinite(weight));
+    const maxWeight = Math.max(0, ...weights);
+
+    return items.map((item, index) => {
+      const { weight, ...options } = item;
+      if (
+        Number.isFinite(weight) &&
+        maxWeight > 0 &&
+        !options.size &&
+        !options.radius
+      ) {
+        const size = maxSize * Math.sqrt(Math.max(0, weight) / maxWeight);
+        options.size = Math.max(minSize, size);
       }
-      if (ball.x > containerWidth - ball.radius) {
-        ball.x = containerWidth - ball.radius;
+      if (!options.color && !options.gradient) {
+        options.color = this.colors[index % this.colors.length];
       }
+      return this.addBall(options);
     });
+  }
 
-    // Separate any overlapping balls after resize
-    this.separateOverlappingBalls();
-  }
-
-  // NEW: Method to separate overlapping balls after resize
-  separateOverlappingBalls() {
-    const maxIterations = 10;
-
-    for (let iteration = 0; iteration < maxIterations; iteration++) {
-      let hasOverlap = false;
-
-      for (let i = 0; i < this.balls.length; i++) {
-        for (let j = i + 1; j < this.balls.length; j++) {
-          const ball1 = this.balls[i];
-          const ball2 = this.balls[j];
-
-          const dx = ball2.x - ball1.x;
-          const dy = ball2.y - ball1.y;
-          const distance = Math.sqrt(dx * dx + dy * dy);
-          const minDistance = ball1.radius + ball2.radius;
-
-          if (distance < minDistance && distance > 0) {
-            hasOverlap = true;
-
-            // Calculate separation
-            const overlap = minDistance - distance;
-            const normalX = dx / distance;
-            const normalY = dy / distance;
-
-            // Move balls apart
-            const moveDistance = overlap * 0.5;
-            ball1.x -= normalX * moveDistance;
-            ball1.y -= normalY * moveDistance;
-            ball2.x += normalX * moveDistance;
-            ball2.y += normalY * moveDistance;
-
-            // Ensure balls stay within bounds
-            const containerWidth = this.container.clientWidth;
-            const containerHeight = this.container.clientHeight;
-
-            ball1.x = Math.max(
-              ball1.radius,
-              Math.min(containerWidth - ball1.radius, ball1.x)
-            );
-            ball1.y = Math.max(
-              ball1.radius,
-              Math.min(containerHeight - ball1.radius, ball1.y)
-            );
-            ball2.x = Math.max(
-              ball2.radius,
-              Math.min(containerWidth - ball2.radius, ball2.x)
-            );
-            ball2.y = Math.max(
-              ball2.radius,
-              Math.min(containerHeight - ball2.radius, ball2.y)
-            );
-          }
-        }
+  /**
+   * Remove a ball along with its element and the constraints on it.
+   * @param {number|Object} id - The ball's id, or the ball
+   * @returns {boolean} Whether there was such a ball
+   */
+  removeBall(id) {
+    const ball = this.getBall(id);
+    if (!ball) return false;
+    this.recordInput({ type: 'removeBall', ball: ball.id });
+    this.world.removeBall(ball);
+    return true;
+  }
+
+  /**
+   * @param {number|Object} id - A ball id (a ball is passed through while
+   *   it is still in the world)
+   * @returns {Object|null}
+   */
+  getBall(id) {
+    return this.world.getBallById(typeof id === 'object' ? id && id.id : id);
+  }
+
+  /**
+   * Every ball covering a point in container coordinates, topmost first.
+   * @returns {Array}
+   */
+  getBallsAt(x, y) {
+    return this.world.getBallsAt(x, y);
+  }
+
+  /**
+   * Change a ball's velocity by an impulse, waking it.
+   * @param {number|Object} id - The ball's id, or the ball
+   * @param {number} ix - Impulse in mass·px/s
+   * @param {number} iy
+   * @returns {boolean} Whether there was such a ball
+   */
+  applyImpulse(id, ix, iy) {
+    const ball = this.getBall(id);
+    if (!ball) return false;
+    this.recordInput({ type: 'impulse', ball: ball.id, ix, iy });
+
+    ball.vx += ix / ball.mass;
+    ball.vy += iy / ball.mass;
+    this.world.wakeBall(ball);
+    return true;
+  }
+
+  /**
+   * Change some of a ball's properties. A new size keeps the ball's
+   * density unless a mass or density comes with it.
+   * @param {number|Object} id - The ball's id, or the ball
+   * @param {Object} patch - Any addBall() options except id
+   * @returns {boolean} Whether there was such a ball
+   */
+  setBallProperties(id, patch) {
+    const ball = this.getBall(id);
+    if (!ball) return false;
+    Object.keys(patch).forEach((key) => {
+      if (!BALL_PROPERTIES.includes(key)) {
+        throw new Error(`Unknown ball property: ${key}`);
       }
+    });
+    this.recordInput({ type: 'ballProperties', ball: ball.id, patch });
 
-      // If no overlaps found, we're done
-      if (!hasOverlap) break;
+    const { size, radius, mass, density, icon, ...rest } = patch;
+    Object.assign(ball, rest);
+    // Sparks from a gradient ball take its first color, as in addBall()
+    if (patch.gradient && patch.color === undefined) {
+      ball.color = patch.gradient[0];
     }
+
+    const oldMass = ball.mass;
+    const oldRadius = ball.radius;
+    if (size !== undefined || radius !== undefined) {
+      ball.radius = this.getBallRadius({ size, radius });
+      ball.size = ball.radius * 2;
+      ball.usesDefaultSize = false;
+      const scale = ball.radius / oldRadius;
+      ball.mass *= scale * scale;
+    }
+    if (mass !== undefined) {
+      ball.mass = mass;
+    } else if (density !== undefined) {
+      ball.mass = Math.PI * ball.radius * ball.radius * density;
+    }
+    if (ball.inertia !== undefined) {
+      ball.inertia *= (ball.mass / oldMass) * (ball.radius / oldRadius) ** 2;
+    }
+
+    if (icon !== undefined) ball.icon = icon;
+    this.renderer.mountBall(ball, { content: this.getBallContent(ball) });
+
+    this.world.clampToBounds(ball);
+    this.world.syncPrevious(ball);
+    this.world.wakeBall(ball);
+    if (ball.radius !== oldRadius) this.world.separateOverlappingBalls();
+    this.renderBallState(ball);
+    return true;
   }
 
-  addRandomBall() {
-    if (this.balls.length >= 40) return;
+  /**
+   * Select a ball, or pass null to deselect. The selected ball is
+   * highlighted and is what pin() and unpin() act on by default. Tapping a
+   * ball toggles its selection; pressing empty space clears it.
+   * @param {number|Object|null} id - The ball's id, or the ball
+   */
+  select(id) {
+    const ball = id === null ? null : this.getBall(id);
+    const previous = this.selectedBall;
+    if (ball === previous) return;
+
+    this.selectedBall = ball;
+    if (previous) {
+      previous.selected = false;
+      this.renderBallState(previous);
+    }
+    if (ball) {
+      ball.selected = true;
+      this.renderBallState(ball);
+    }
+    this.emit('select', { ball, previous });
+  }
 
-    const container = this.container;
-    const newBall = document.createElement('div');
-    const size = this.ballSize;
-    const radius = size / 2;
+  setHovered(ball) {
+    const previous = this.hoveredBall;
+    if (ball === previous) return;
 
-    newBall.className = 'ball';
-    newBall.style.width = size + 'px';
-    newBall.style.height = size + 'px';
-    newBall.style.borderRadius = '50%';
-    newBall.innerHTML = this.svgs[Math.floor(Math.random() * this.svgs.length)];
-    container.appendChild(newBall);
+    this.hoveredBall = ball;
+    if (previous) {
+      previous.hovered = false;
+      this.renderBallState(previous);
+    }
+    if (ball) {
+      ball.hovered = true;
+      this.renderBallState(ball);
+    }
+    this.container.classList.toggle('ball-hovered', Boolean(ball));
+    this.emit('hover', { ball, previous });
+  }
 
-    const containerRect = container.getBoundingClientRect();
-    const ball = {
-      element: newBall,
-      x: Math.random() * (containerRect.width - size) + radius,
-      y: radius + 10,
-      vx: (Math.random() - 0.5) * 10,
-      vy: Math.random() * 3,
-      radius: radius,
-      size: size,
-      color: this.colors[Math.floor(Math.random() * this.colors.length)],
-      mass: Math.PI * radius * radius * 0.1,
-      isDragging: false,
-      dragOffsetX: 0,
-      dragOffsetY: 0,
-      dragStartTime: 0,
-      dragPositions: [],
-      maxPositionHistory: 5,
-      rotation: 0, // Initial rotation angle
-      vrotation: (Math.random() - 0.5) * 5, // Initial rotational velocity
-    };
+  // Show a ball's selected, hovered, focused and pinned state
+  renderBallState(ball) {
+    if (this.renderer.renderBallState) this.renderer.renderBallState(ball);
+    this.accessibility.updateBall(ball);
+  }
 
-    gsap.set(newBall, {
-      x: ball.x - radius,
-      y: ball.y - radius,
-      backgroundColor: ball.color,
-      scale: 0,
-    });
+  // Drop the selection, hover and held balls before the balls go
+  forgetInteraction() {
+    this.select(null);
+    this.setHovered(null);
+    // Pointers still down hold balls that are about to go
+    this.pointerDrags.clear();
+    this.pointerStarts.clear();
+  }
 
-    gsap.to(newBall, {
-      scale: 1,
-      duration: 0.3,
-      ease: 'back.out(1.7)',
+  /**
+   * Fix a ball in place as a static obstacle: it stops, ignores gravity
+   * and hits, and cannot be dragged until unpinned.
+   * @param {number|Object} [id] - The ball or its id; the selected ball
+   * @returns {boolean} Whether a ball was pinned
+   */
+  pin(id = this.selectedBall) {
+    const ball = id === null ? null : this.getBall(id);
+    if (!ball || ball.pinned) return false;
+    this.recordInput({ type: 'pin', ball: ball.id });
+
+    this.pointerDrags.forEach((held, pointerId) => {
+      if (held === ball) this.pointerDrags.delete(pointerId);
     });
+    ball.isDragging = false;
+    ball.dragTarget = null;
+    this.world.pinBall(ball);
+    this.world.syncPrevious(ball);
+    this.renderBallState(ball);
+    this.emit('pin', { ball });
+    return true;
+  }
 
-    this.balls.push(ball);
+  /**
+   * @param {number|Object} [id] - The ball or its id; the selected ball
+   * @returns {boolean} Whether a ball was unpinned
+   */
+  unpin(id = this.selectedBall) {
+    const ball = id === null ? null : this.getBall(id);
+    if (!ball || !ball.pinned) return false;
+    this.recordInput({ type: 'unpin', ball: ball.id });
+
+    this.world.unpinBall(ball);
+    this.renderBallState(ball);
+    this.emit('unpin', { ball });
+    return true;
+  }
 
-    // Add drag event listeners to new ball
-    newBall.addEventListener('mousedown', (e) => {
-      e.preventDefault();
-      this.startDrag(ball, e);
-    });
-    newBall.addEventListener(
-      'touchstart',
-      (e) => {
-        e.preventDefault();
-        if (e.touches.length === 1) {
-          this.startDrag(ball, e.touches[0]);
-        }
-      },
-      { passive: false }
-    );
+  // Pin an unpinned ball and unpin a pinned one
+  togglePin(id = this.selectedBall) {
+    const ball = id === null ? null : this.getBall(id);
+    if (!ball) return false;
+    return ball.pinned ? this.unpin(ball) : this.pin(ball);
   }
 
   stop() {
     this.running = false;
   }
 
+  /**
+   * Freeze the physics, keeping the scene as it is. Balls can still be
+   * picked up; they move once resumed or stepped. Resets and load() keep
+   * a paused simulation paused.
+   */
+  pause() {
+    // An explicit pause outlasts the page being shown again
+    this.pausedWhileHidden = false;
+    if (this.paused) return;
+    this.paused = true;
+    this.emit('pause', { hidden: false });
+  }
+
+  resume() {
+    this.pausedWhileHidden = false;
+    if (!this.paused) return;
+    this.paused = false;
+    this.lastFrameTime = null; // The pause is not elapsed time
+    this.startAnimation();
+    this.emit('resume', {});
+  }
+
+  /**
+   * Pause and advance the physics by exactly one tick (1 / stepRate s),
+   * for going through collisions frame by frame.
+   */
+  step() {
+    if (this.destroyed) return;
+    this.pause();
+    this.world.step();
+    this.renderer.render(this.balls, 1, this.world.constraints);
+    this.effects.update(this.balls);
+  }
+
+  /**
+   * Run the physics slower (slow motion) or faster (fast-forward) than
+   * real time. The fixed step stays the same, so a slowed-down collision
+   * plays out exactly as at full speed, and recordings are unaffected.
+   * @param {number} scale - Simulated seconds per real second, e.g. 0.25
+   *   for quarter speed; at most MAX_TIME_SCALE (4)
+   */
+  setTimeScale(scale) {
+    if (!(scale > 0)) {
+      throw new Error(`Time scale must be a positive number: ${scale}`);
+    }
+    this.timeScale = Math.min(scale, MAX_TIME_SCALE);
+  }
+
+  // Nobody watches a hidden page; pick up where it left off when shown
+  handleVisibilityChange() {
+    if (!this.pauseWhenHidden) return;
+    if (document.hidden) {
+      if (this.paused) return; // Paused on purpose; stays paused
+      this.paused = true;
+      this.pausedWhileHidden = true;
+      this.emit('pause', { hidden: true });
+    } else if (this.pausedWhileHidden) {
+      this.resume();
+    }
+  }
+
+  /**
+   * The tunable settings (world physics plus ballSize and density).
+   * @returns {Object}
+   */
+  getParameters() {
+    return {
+      ...this.world.getParameters(),
+      ballSize: this.ballSize,
+      density: this.density,
+      dragMode: this.dragMode,
+      reducedMotion: this.reducedMotion,
+    };
+  }
+
+  /**
+   * Change settings while the simulation runs. Omitted keys keep their
+   * value. A new ballSize resizes every ball without a size of its own.
+   * Changes are recorded, so replays follow a tuned or tilted scene.
+   * @param {Object} parameters - Any keys returned by getParameters()
+   */
+  setParameters(parameters) {
+    this.recordInput({ type: 'parameters', parameters });
+
+    const { ballSize, density, dragMode, reducedMotion, ...worldParameters } =
+      parameters;
+    this.world.setParameters(worldParameters);
+    if (density !== undefined) this.density = density;
+    if (dragMode !== undefined) this.dragMode = dragMode;
+    if (reducedMotion !== undefined) this.setReducedMotion(reducedMotion);
+    if (ballSize !== undefined && ballSize !== this.ballSize) {
+      this.setBallSize(ballSize);
+    }
+    this.emit('parameters', { parameters });
+  }
+
+  /**
+   * Calm the motion down: balls are spawned and thrown at half speed and
+   * without spin, and collision effects are turned off (and restored as
+   * they were when it is turned off again). Set with setParameters({
+   * reducedMotion }). Snapshots and replays do not change it: it follows
+   * the viewer (see accessibility.js).
+   */
+  setReducedMotion(reduced) {
+    if (reduced === this.reducedMotion) return;
+    this.reducedMotion = reduced;
+    if (reduced) {
+      this.savedEffects = { ...this.effects.settings };
+      this.effects.configure(false);
+    } else if (this.savedEffects) {
+      this.effects.configure(this.savedEffects);
+      this.savedEffects = null;
+    }
+  }
+
+  setBallSize(size) {
+    this.ballSize = size;
+    this.balls.forEach((ball) => {
+      if (!ball.usesDefaultSize) return;
+
+      const scale = size / 2 / ball.radius;
+      ball.radius = size / 2;
+      ball.size = size;
+      ball.mass *= scale * scale;
+      if (ball.inertia !== undefined) ball.inertia *= scale * scale * scale * scale;
+      this.renderer.mountBall(ball);
+      this.world.clampToBounds(ball);
+    });
+    this.world.separateOverlappingBalls();
+  }
+
+  /**
+   * Capture the scene as JSON-compatible data. Balls being dragged are
+   * saved where they are, as if released.
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      version: 1,
+      width: this.world.width,
+      height: this.world.height,
+      parameters: this.getParameters(),
+      random: this.random.getState(),
+      stepCount: this.world.stepCount,
+      nextBallId: this.world.nextBallId,
+      boundary: this.world.boundary.toJSON(),
+      obstacles: this.world.obstacles.map((obstacle) => obstacle.toJSON()),
+      constraints: this.world.constraints.map((constraint) =>
+        constraint.toJSON()
+      ),
+      forces: this.world.forces.map((force) => force.toJSON()),
+      balls: this.balls.map((ball) => ({
+        id: ball.id,
+        x: ball.x,
+        y: ball.y,
+        vx: ball.vx,
+        vy: ball.vy,
+        rotation: ball.rotation,
+        vrotation: ball.vrotation,
+        radius: ball.radius,
+        usesDefaultSize: ball.usesDefaultSize,
+        mass: ball.mass,
+        restitution: ball.restitution,
+        friction: ball.friction,
+        inertia: ball.inertia,
+        color: ball.color,
+        gradient: ball.gradient,
+        icon: ball.icon,
+        svg: ball.svg,
+        html: ball.html,
+        image: ball.image,
+        label: ball.label,
+        ariaLabel: ball.ariaLabel,
+        sleeping: ball.sleeping,
+        pinned: ball.pinned,
+        sleepTime: ball.sleepTime,
+      })),
+    };
+  }
+
+  /**
+   * Replace the scene with a snapshot from serialize(). The world keeps
+   * the snapshot's bounds until the next resize so replays match exactly.
+   * @param {Object|string} json - A snapshot or its JSON text
+   */
+  load(json) {
+    const scene = typeof json === 'string' ? JSON.parse(json) : json;
+
+    this.playback = null;
+    this.recording = null; // A recording cannot span a scene change
+    this.forgetInteraction();
+    this.world.clear();
+    this.renderer.clear();
+
+    // Reduced motion is the viewer's preference, not part of the scene
+    const { reducedMotion, ...parameters } = scene.parameters;
+    this.setParameters(parameters);
+    this.world.setBounds(scene.width, scene.height);
+    this.world.stepCount = scene.stepCount;
+    this.world.nextBallId = scene.nextBallId;
+    this.world.accumulator = 0;
+    this.random.setState(scene.random);
+
+    this.setBoundary(scene.boundary);
+    this.loadObstacles(scene.obstacles);
+    // Forces wake every ball, so they go in before the balls do, which
+    // keep their sleep state
+    this.world.clearForces();
+    (scene.forces || []).forEach((definition) => {
+      this.world.addForce(definition);
+    });
+    scene.balls.forEach((data) => {
+      this.createBall(this.renderer.createBallElement(), data);
+    });
+    (scene.constraints || []).forEach((definition) => {
+      this.world.addConstraint(definition, { wake: false });
+    });
+
+    this.startAnimation();
+    this.emit('reset', { type: 'load' });
+  }
+
+  /**
+   * Start capturing a snapshot of the current scene plus every following
+   * drag, throw, added ball and parameter change, for replay().
+   */
+  startRecording() {
+    this.recording = { snapshot: this.serialize(), inputs: [] };
+  }
+
+  /**
+   * @returns {Object|null} The recording ({ snapshot, inputs }), which is
+   *   plain JSON-compatible data
+   */
+  stopRecording() {
+    const recording = this.recording;
+    this.recording = null;
+    return recording;
+  }
+
+  /**
+   * Restore a recording's snapshot and feed its inputs back in at the
+   * physics steps they originally happened at. Live input is ignored until
+   * the last recorded input has played.
+   * @param {Object|string} recording - From stopRecording(), or its JSON
+   */
+  replay(recording) {
+    const data =
+      typeof recording === 'string' ? JSON.parse(recording) : recording;
+    this.load(data.snapshot);
+    this.playback = { inputs: data.inputs, index: 0 };
+  }
+
+  // Log an input for the active recording, stamped with the current step
+  recordInput(input) {
+    if (!this.recording) return;
+    this.recording.inputs.push({ step: this.world.stepCount, ...input });
+  }
+
+  // Apply the recorded inputs due before this step
+  playRecordedInputs(stepCount) {
+    const playback = this.playback;
+    if (!playback) return;
+
+    while (
+      playback.index < playback.inputs.length &&
+      playback.inputs[playback.index].step <= stepCount
+    ) {
+      this.applyInput(playback.inputs[playback.index++]);
+    }
+    if (playback.index >= playback.inputs.length) this.playback = null;
+  }
+
+  applyInput(input) {
+    if (input.type === 'addRandomBall') {
+      // Spawned as fast as when recorded, whatever the viewer's preference
+      const reducedMotion = this.reducedMotion;
+      this.reducedMotion = input.reducedMotion ?? reducedMotion;
+      this.addRandomBall(input.options);
+      this.reducedMotion = reducedMotion;
+      return;
+    }
+    if (input.type === 'parameters') {
+      const { reducedMotion, ...parameters } = input.parameters;
+      this.setParameters(parameters);
+      return;
+    }
+    if (input.type === 'addBall') {
+      this.addBall(input.options);
+      return;
+    }
+
+    const ball = this.world.getBallById(input.ball);
+    if (!ball) return;
+
+    if (input.type === 'dragStart') {
+      this.beginDrag(ball, input);
+    } else if (input.type === 'dragMove') {
+      this.updateDragPosition(ball, input);
+    } else if (input.type === 'throw') {
+      this.releaseBall(ball, input, input.tap);
+    } else if (input.type === 'removeBall') {
+      this.removeBall(ball);
+    } else if (input.type === 'impulse') {
+      this.applyImpulse(ball, input.ix, input.iy);
+    } else if (input.type === 'ballProperties') {
+      this.setBallProperties(ball, input.patch);
+    } else if (input.type === 'pin') {
+      this.pin(ball);
+    } else if (input.type === 'unpin') {
+      this.unpin(ball);
+    }
+  }
+
   // Improved Dragging Methods
   getMousePos(event) {
     const rect = this.container.getBoundingClientRect();
@@ -482,11 +1471,38 @@ class BallPhysics {
     };
   }
 
+  getBallAtEvent(event) {
+    const pos = this.getMousePos(event);
+    return this.world.getBallAt(pos.x, pos.y);
+  }
+
   startDrag(ball, event) {
-    const mousePos = this.getMousePos(event);
-    ball.isDragging = true;
+    this.beginDrag(ball, this.getMousePos(event));
+  }
+
+  /**
+   * Pick up a ball at a point in container coordinates.
+   */
+  beginDrag(ball, mousePos) {
+    this.recordInput({
+      type: 'dragStart',
+      ball: ball.id,
+      x: mousePos.x,
+      y: mousePos.y,
+    });
+
+    this.world.wakeBall(ball);
     ball.dragOffsetX = ball.x - mousePos.x;
     ball.dragOffsetY = ball.y - mousePos.y;
+    this.emit('dragStart', { ball, x: mousePos.x, y: mousePos.y });
+
+    // In spring mode the world pulls the ball towards the pointer
+    if (this.dragMode === 'spring') {
+      ball.dragTarget = { x: ball.x, y: ball.y };
+      return;
+    }
+
+    ball.isDragging = true;
     ball.dragStartTime = Date.now();
 
     // Clear position history and start fresh
@@ -499,22 +1515,36 @@ class BallPhysics {
   }
 
   updateDragPosition(ball, mousePos) {
-    if (!ball.isDragging) return;
+    if (!this.isHeld(ball)) return;
+    this.recordInput({
+      type: 'dragMove',
+      ball: ball.id,
+      x: mousePos.x,
+      y: mousePos.y,
+    });
 
     const currentTime = Date.now();
-    const containerWidth = this.container.clientWidth;
-    const containerHeight = this.container.clientHeight;
 
-    // Calculate desired position
-    let newX = mousePos.x + ball.dragOffsetX;
-    let newY = mousePos.y + ball.dragOffsetY;
+    // Calculate desired position, constrained within container bounds
+    const desired = {
+      x: mousePos.x + ball.dragOffsetX,
+      y: mousePos.y + ball.dragOffsetY,
+      radius: ball.radius,
+    };
+    this.world.clampToBounds(desired);
 
-    // Constrain ball within container bounds
-    newX = Math.max(ball.radius, Math.min(containerWidth - ball.radius, newX));
-    newY = Math.max(ball.radius, Math.min(containerHeight - ball.radius, newY));
+    if (ball.dragTarget) {
+      ball.dragTarget.x = desired.x;
+      ball.dragTarget.y = desired.y;
+      return;
+    }
 
     // Check for collisions with other balls and resolve them
-    const resolvedPosition = this.resolveDragCollisions(ball, newX, newY);
+    const resolvedPosition = this.world.resolveDragCollisions(
+      ball,
+      desired.x,
+      desired.y
+    );
 
     ball.x = resolvedPosition.x;
     ball.y = resolvedPosition.y;
@@ -532,71 +1562,12 @@ class BallPhysics {
     }
   }
 
-  resolveDragCollisions(draggedBall, desiredX, desiredY) {
-    let resolvedX = desiredX;
-    let resolvedY = desiredY;
-
-    // Check collision with all other balls
-    for (let otherBall of this.balls) {
-      if (otherBall === draggedBall) continue;
-
-      const dx = resolvedX - otherBall.x;
-      const dy = resolvedY - otherBall.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      const minDistance = draggedBall.radius + otherBall.radius;
-
-      if (distance < minDistance && distance > 0) {
-        // Calculate collision normal
-        const normalX = dx / distance;
-        const normalY = dy / distance;
-
-        // Push the dragged ball away from the collision
-        const overlap = minDistance - distance;
-        resolvedX += normalX * overlap;
-        resolvedY += normalY * overlap;
-
-        // If the other ball is not being dragged, push it away too
-        if (!otherBall.isDragging) {
-          // Apply a gentle push to the other ball
-          const pushStrength = 0.5;
-          otherBall.vx += normalX * pushStrength;
-          otherBall.vy += normalY * pushStrength;
-
-          // Also slightly move the other ball to prevent overlap
-          otherBall.x -= normalX * (overlap * 0.3);
-          otherBall.y -= normalY * (overlap * 0.3);
-
-          // Ensure the pushed ball stays within bounds
-          const containerWidth = this.container.clientWidth;
-          const containerHeight = this.container.clientHeight;
-          otherBall.x = Math.max(
-            otherBall.radius,
-            Math.min(containerWidth - otherBall.radius, otherBall.x)
-          );
-          otherBall.y = Math.max(
-            otherBall.radius,
-            Math.min(containerHeight - otherBall.radius, otherBall.y)
-          );
-        }
-      }
+  calculateThrowVelocity(ball) {
+    // A spring-dragged ball already moves physically; it keeps its speed
+    if (ball.dragTarget) {
+      return this.limitThrowVelocity(ball.vx, ball.vy);
     }
 
-    // Make sure the resolved position is still within container bounds
-    const containerWidth = this.container.clientWidth;
-    const containerHeight = this.container.clientHeight;
-    resolvedX = Math.max(
-      draggedBall.radius,
-      Math.min(containerWidth - draggedBall.radius, resolvedX)
-    );
-    resolvedY = Math.max(
-      draggedBall.radius,
-      Math.min(containerHeight - draggedBall.radius, resolvedY)
-    );
-
-    return { x: resolvedX, y: resolvedY };
-  }
-
-  calculateThrowVelocity(ball) {
     if (ball.dragPositions.length < 2) {
       return { vx: 0, vy: 0 };
     }
@@ -616,13 +1587,17 @@ class BallPhysics {
     const deltaY = last.y - first.y;
 
     // Calculate velocity and apply scaling
-    let vx = (deltaX / timeDiff) * this.velocityMultiplier;
-    let vy = (deltaY / timeDiff) * this.velocityMultiplier;
+    return this.limitThrowVelocity(
+      (deltaX / timeDiff) * this.velocityMultiplier,
+      (deltaY / timeDiff) * this.velocityMultiplier
+    );
+  }
 
-    // Limit maximum velocity
+  limitThrowVelocity(vx, vy) {
+    const maxSpeed = this.maxThrowVelocity * this.getMotionScale();
     const speed = Math.sqrt(vx * vx + vy * vy);
-    if (speed > this.maxThrowVelocity) {
-      const scaleFactor = this.maxThrowVelocity / speed;
+    if (speed > maxSpeed) {
+      const scaleFactor = maxSpeed / speed;
       vx *= scaleFactor;
       vy *= scaleFactor;
     }
@@ -630,76 +1605,213 @@ class BallPhysics {
     return { vx, vy };
   }
 
-  handleMouseMove(e) {
-    const mousePos = this.getMousePos(e);
-    this.balls.forEach((ball) => {
-      if (ball.isDragging) {
-        this.updateDragPosition(ball, mousePos);
-      }
+  /**
+   * Let go of a dragged ball with the given velocity.
+   * @param {Object} ball
+   * @param {{vx: number, vy: number}} velocity
+   * @param {boolean} [tap] - Whether it was tapped rather than thrown
+   */
+  releaseBall(ball, velocity, tap = false) {
+    this.recordInput({
+      type: 'throw',
+      ball: ball.id,
+      vx: velocity.vx,
+      vy: velocity.vy,
+      tap,
     });
+
+    this.world.wakeBall(ball);
+    ball.vx = velocity.vx;
+    ball.vy = velocity.vy;
+    this.emitRelease(ball, tap);
+
+    // A spring-dragged ball keeps the spin its contacts gave it
+    if (ball.dragTarget) {
+      ball.dragTarget = null;
+      return;
+    }
+
+    ball.isDragging = false;
+
+    // A held ball leaves the hand without spin; contacts spin it up
+    ball.vrotation = 0;
+
+    // Clear position history
+    ball.dragPositions = [];
   }
 
-  handleMouseUp(e) {
-    this.balls.forEach((ball) => {
-      if (ball.isDragging) {
-        ball.isDragging = false;
+  /**
+   * Throw a ball as if it had been picked up and flicked by dx, dy px, with
+   * the same velocity calculation as a pointer throw (used for keyboard
+   * throws).
+   * @param {number|Object} id - The ball's id, or the ball
+   * @returns {boolean} Whether the ball was thrown
+   */
+  flickBall(id, dx, dy) {
+    const ball = this.getBall(id);
+    if (!ball || ball.pinned || this.isHeld(ball)) return false;
+
+    const now = Date.now();
+    ball.dragPositions = [0, 0.5, 1].map((t) => ({
+      x: ball.x + dx * t,
+      y: ball.y + dy * t,
+      time: now + FLICK_TIME * t,
+    }));
+    ball.isDragging = true;
+    this.releaseBall(ball, this.calculateThrowVelocity(ball));
+    return true;
+  }
 
-        // Calculate and apply throw velocity
-        const velocity = this.calculateThrowVelocity(ball);
-        ball.vx = velocity.vx;
-        ball.vy = velocity.vy;
+  // Report a let-go, and a throw when the ball leaves the hand moving
+  emitRelease(ball, tap) {
+    const { vx, vy } = ball;
+    this.emit('dragEnd', { ball, vx, vy });
+    const speed = Math.sqrt(vx * vx + vy * vy);
+    if (speed > 0 && !tap) this.emit('throw', { ball, vx, vy, speed });
+  }
 
-        // Apply rotational velocity based on throw
-        ball.vrotation = (ball.vx * 0.05) + (ball.vy * 0.05); // Simple proportional rotation
+  // Whether a pointer (or recorded input) is holding the ball
+  isHeld(ball) {
+    return ball.isDragging || Boolean(ball.dragTarget);
+  }
 
-        // Clear position history
-        ball.dragPositions = [];
-      }
+  /**
+   * Grab the ball under a new pointer. Balls are hit-tested against the
+   * physics state, which works the same whether they are DOM elements or
+   * pixels on a canvas.
+   */
+  handlePointerDown(e) {
+    if (this.playback) return; // Recorded input is driving the balls
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    const ball = this.getBallAtEvent(e);
+    if (!ball) {
+      this.select(null);
+      return;
+    }
+    if (this.isHeld(ball)) return; // One pointer per ball
+    e.preventDefault();
+
+    this.pointerStarts.set(e.pointerId, {
+      ball,
+      x: e.clientX,
+      y: e.clientY,
+      time: performance.now(),
     });
+    if (ball.pinned) return; // Can be tapped, not dragged
+
+    this.pointerDrags.set(e.pointerId, ball);
+    this.startDrag(ball, e);
   }
 
-  handleTouchMove(e) {
-    if (e.touches.length === 1) {
-      const touch = e.touches[0];
-      const mousePos = this.getMousePos(touch);
-      this.balls.forEach((ball) => {
-        if (ball.isDragging) {
-          this.updateDragPosition(ball, mousePos);
-        }
-      });
+  handlePointerMove(e) {
+    if (this.playback) return;
+    const ball = this.pointerDrags.get(e.pointerId);
+    if (!ball) {
+      if (e.pointerType !== 'touch' && !this.pointerStarts.size) {
+        const inside = this.container.contains(e.target);
+        this.setHovered(inside ? this.getBallAtEvent(e) : null);
+      }
+      return;
     }
+    this.updateDragPosition(ball, this.getMousePos(e));
   }
 
-  handleTouchEnd(e) {
-    this.balls.forEach((ball) => {
-      if (ball.isDragging) {
-        ball.isDragging = false;
-
-        // Calculate and apply throw velocity
-        const velocity = this.calculateThrowVelocity(ball);
-        ball.vx = velocity.vx;
-        ball.vy = velocity.vy;
+  /**
+   * Throw the ball held by the lifted pointer with its own recent motion,
+   * or, when the pointer hardly moved, let go of it where it is and count
+   * a tap.
+   */
+  handlePointerUp(e) {
+    const start = this.pointerStarts.get(e.pointerId);
+    if (!start) return;
+    this.pointerStarts.delete(e.pointerId);
+    const ball = this.pointerDrags.get(e.pointerId);
+    this.pointerDrags.delete(e.pointerId);
+    if (this.playback) return;
+
+    const tap = e.type === 'pointerup' && this.isTap(start, e);
+    if (ball && this.isHeld(ball)) {
+      // A spring-dragged ball keeps moving as it was
+      const velocity =
+        tap && !ball.dragTarget
+          ? { vx: 0, vy: 0 }
+          : this.calculateThrowVelocity(ball);
+      this.releaseBall(ball, velocity, tap);
+    }
+    if (tap && this.world.balls.includes(start.ball)) {
+      const { x, y } = this.getMousePos(e);
+      this.handleTap(start.ball, x, y, e);
+    }
+  }
 
-        // Apply rotational velocity based on throw
-        ball.vrotation = (ball.vx * 0.05) + (ball.vy * 0.05); // Simple proportional rotation
+  // Whether a pointer went up close to where and soon after it went down
+  isTap(start, e) {
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    return (
+      dx * dx + dy * dy <= this.tapDistance * this.tapDistance &&
+      performance.now() - start.time <= this.tapTime
+    );
+  }
 
-        // Clear position history
-        ball.dragPositions = [];
-      }
-    });
+  /**
+   * A ball was tapped or clicked (or activated from the keyboard) at a
+   * point in container coordinates.
+   */
+  handleTap(ball, x, y, e) {
+    this.emit('click', { ball, x, y });
+    if (ball.onClick) ball.onClick(ball, e);
+    this.select(ball === this.selectedBall ? null : ball);
   }
 }
 
 // GLOBAL VARIABLES
 let ballPhysics;
+let settingsPanel;
+
+/**
+ * Options for a simulation, read from data attributes on its container
+ * (e.g. data-renderer="canvas", data-drag-mode="spring",
+ * data-effects="squash particles" or data-boundary="circle").
+ * @param {HTMLElement} container
+ */
+function readContainerOptions(container) {
+  return {
+    renderer: container.dataset.renderer,
+    dragMode: container.dataset.dragMode,
+    effects: container.dataset.effects,
+    boundary: container.dataset.boundary,
+  };
+}
 
 /**
  * INITIALIZATION
  * Wait for DOM to be ready before creating physics simulation
  */
+function initPage() {
+  const container = document.getElementById('container');
+  if (!container) return; // A page with only simulations of its own
+
+  ballPhysics = new BallPhysics(container, readContainerOptions(container));
+  const controls = document.querySelector('.controls');
+  if (controls) settingsPanel = new SettingsPanel(ballPhysics, controls);
+
+  // Stepping and a hidden page pause too, so follow the events
+  const pauseButton = document.getElementById('pauseButton');
+  if (pauseButton) {
+    const showPaused = () => {
+      pauseButton.textContent = ballPhysics.paused ? 'Resume' : 'Pause';
+      pauseButton.setAttribute('aria-pressed', String(ballPhysics.paused));
+    };
+    ballPhysics.on('pause', showPaused);
+    ballPhysics.on('resume', showPaused);
+  }
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   if (!ballPhysics) {
-    ballPhysics = new BallPhysics();
+    initPage();
   }
 });
 
@@ -739,25 +1851,73 @@ function addRandomBall() {
 }
 
 /**
- * EVENT HANDLERS
+ * Toggle gravity following the device's tilt.
  */
+function toggleTilt() {
+  if (!ballPhysics) return;
+  if (ballPhysics.tilt && ballPhysics.tilt.active) {
+    ballPhysics.disableTilt();
+  } else {
+    ballPhysics.enableTilt();
+  }
+}
 
 /**
- * Handle window resize
- * Uses a debounce to call the smart resize handler, which adjusts the
- * simulation to new container dimensions without a full reset.
+ * Pin the selected ball in place, or unpin it.
  */
-let resizeTimeout;
-window.addEventListener('resize', () => {
-  if (ballPhysics) {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      ballPhysics.handleResize();
-    }, 100);
+function togglePin() {
+  if (ballPhysics) ballPhysics.togglePin();
+}
+
+/**
+ * Pause the simulation, or resume it.
+ */
+function togglePause() {
+  if (!ballPhysics) return;
+  if (ballPhysics.paused) {
+    ballPhysics.resume();
+  } else {
+    ballPhysics.pause();
   }
-});
+}
+
+/**
+ * Advance the simulation by one physics step, pausing it.
+ */
+function stepSimulation() {
+  if (ballPhysics) ballPhysics.step();
+}
+
+// Speeds the Speed button goes through, in order
+const SPEED_STEPS = [1, 0.5, 0.25, 0.1, 2, 4];
+
+/**
+ * Switch to the next simulation speed.
+ * @param {HTMLElement} [button] - Button to label with the new speed
+ */
+function cycleTimeScale(button) {
+  if (!ballPhysics) return;
+  const index = SPEED_STEPS.indexOf(ballPhysics.timeScale);
+  const scale = SPEED_STEPS[(index + 1) % SPEED_STEPS.length];
+  ballPhysics.setTimeScale(scale);
+  if (button) button.textContent = `Speed ${scale}×`;
+}
+
+/**
+ * Mute or unmute the impact sounds.
+ * @param {HTMLElement} [button] - Toggle button to label with the new state
+ */
+function toggleSound(button) {
+  if (!ballPhysics) return;
+  const muted = !ballPhysics.sound.muted;
+  ballPhysics.sound.setMuted(muted);
+  if (button) {
+    button.textContent = muted ? 'Unmute' : 'Mute';
+    button.setAttribute('aria-pressed', String(muted));
+  }
+}
 
 // Fallback initializer for cases where DOM is already loaded
 if (document.readyState !== 'loading' && !ballPhysics) {
-  ballPhysics = new BallPhysics();
+  initPage();
 }
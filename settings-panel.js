@@ -0,0 +1,272 @@
+/**
+ * Settings Panel
+ *
+ * An in-page panel with a slider per physics parameter, applied live
+ * through BallPhysics.setParameters() without a reset. Named presets
+ * bundle the values from the configuration guide in script.js.
+ *
+ * The current settings are mirrored into the URL query string, so a tuned
+ * setup can be shared as a link:
+ *   ?preset=moon                    (a preset as is)
+ *   ?gravity=900&bounceDamping=0.7  (only values that differ from the defaults)
+ *   ?preset=heavy&ballSize=40       (a preset with changes on top)
+ *
+ * The sliders follow parameter changes made elsewhere too, such as the
+ * gravity direction while tilt steers it.
+ */
+
+// Parameters shown as sliders, in display order
+const SETTINGS_FIELDS = [
+  { name: 'gravity', label: 'Gravity', min: 0, max: 4000, step: 10 },
+  {
+    name: 'gravityAngle',
+    label: 'Gravity direction',
+    min: -180,
+    max: 180,
+    step: 5,
+  },
+  { name: 'friction', label: 'Air friction', min: 0.01, max: 1, step: 0.01 },
+  { name: 'bounceDamping', label: 'Bounce', min: 0, max: 1, step: 0.01 },
+  {
+    name: 'groundFriction',
+    label: 'Ground friction',
+    min: 0.001,
+    max: 1,
+    step: 0.001,
+  },
+  { name: 'contactFriction', label: 'Grip', min: 0, max: 1.5, step: 0.05 },
+  { name: 'ballSize', label: 'Ball size', min: 20, max: 150, step: 1 },
+];
+
+// Named setups, applied on top of the defaults
+const SETTINGS_PRESETS = {
+  default: { label: 'Default', parameters: {} },
+  moon: { label: 'Moon', parameters: { gravity: 720 } },
+  heavy: { label: 'Heavy', parameters: { gravity: 3600 } },
+  dead: { label: 'Dead bounce', parameters: { bounceDamping: 0.6 } },
+  realistic: {
+    label: 'Realistic',
+    parameters: { bounceDamping: 0.8, groundFriction: 0.1 },
+  },
+  thick: { label: 'Thick air', parameters: { friction: 0.05 } },
+};
+
+class SettingsPanel {
+  /**
+   * @param {BallPhysics} physics - The simulation to tune
+   * @param {HTMLElement} controls - Where the "Settings" button goes
+   */
+  constructor(physics, controls) {
+    this.physics = physics;
+    this.controls = controls;
+    this.preset = 'default';
+    this.inputs = {}; // parameter name -> { input, output }
+
+    // Whatever the simulation started with is what "Default" means
+    const current = physics.getParameters();
+    this.defaults = {};
+    SETTINGS_FIELDS.forEach(({ name }) => {
+      this.defaults[name] = current[name];
+    });
+
+    this.build();
+    this.readQuery();
+    physics.on('parameters', () => this.refresh());
+  }
+
+  build() {
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.className = 'btn';
+    this.toggleButton.textContent = 'Settings';
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    this.toggleButton.addEventListener('click', () => this.toggle());
+    this.controls.appendChild(this.toggleButton);
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'settings-panel';
+    this.panel.hidden = true;
+
+    const presetRow = document.createElement('label');
+    presetRow.className = 'settings-row';
+    presetRow.textContent = 'Preset';
+    this.presetSelect = document.createElement('select');
+    Object.entries(SETTINGS_PRESETS).forEach(([id, preset]) => {
+      this.presetSelect.add(new Option(preset.label, id));
+    });
+    this.presetSelect.add(new Option('Custom', 'custom'));
+    this.presetSelect.addEventListener('change', () => {
+      if (this.presetSelect.value !== 'custom') {
+        this.applyPreset(this.presetSelect.value);
+        this.writeQuery();
+      }
+    });
+    presetRow.appendChild(this.presetSelect);
+    this.panel.appendChild(presetRow);
+
+    SETTINGS_FIELDS.forEach((field) => {
+      const row = document.createElement('label');
+      row.className = 'settings-row';
+      row.textContent = field.label;
+
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step;
+      input.addEventListener('input', () => {
+        this.setValue(field.name, parseFloat(input.value));
+        this.preset = this.matchPreset();
+        this.presetSelect.value = this.preset;
+        this.writeQuery();
+      });
+
+      const output = document.createElement('output');
+      row.appendChild(input);
+      row.appendChild(output);
+      this.panel.appendChild(row);
+      this.inputs[field.name] = { input, output };
+    });
+
+    const buttons = document.createElement('div');
+    buttons.className = 'settings-buttons';
+    this.copyButton = document.createElement('button');
+    this.copyButton.className = 'btn';
+    this.copyButton.textContent = 'Copy link';
+    this.copyButton.addEventListener('click', () => this.copyLink());
+    const resetButton = document.createElement('button');
+    resetButton.className = 'btn';
+    resetButton.textContent = 'Defaults';
+    resetButton.addEventListener('click', () => {
+      this.applyPreset('default');
+      this.writeQuery();
+    });
+    buttons.appendChild(this.copyButton);
+    buttons.appendChild(resetButton);
+    this.panel.appendChild(buttons);
+
+    this.controls.appendChild(this.panel);
+  }
+
+  toggle(open = this.panel.hidden) {
+    this.panel.hidden = !open;
+    this.toggleButton.setAttribute('aria-expanded', String(open));
+  }
+
+  /**
+   * Apply one parameter to the simulation and show it on its slider.
+   * Values outside the slider's range are clamped to it.
+   */
+  setValue(name, value) {
+    const field = SETTINGS_FIELDS.find((f) => f.name === name);
+    const clamped = Math.min(field.max, Math.max(field.min, value));
+    this.physics.setParameters({ [name]: clamped });
+    this.showValue(field, clamped);
+  }
+
+  showValue(field, value) {
+    const { input, output } = this.inputs[field.name];
+    input.value = value;
+    output.value = this.format(field, value);
+  }
+
+  // Show the simulation's current values, whoever changed them
+  refresh() {
+    const current = this.physics.getParameters();
+    SETTINGS_FIELDS.forEach((field) => this.showValue(field, current[field.name]));
+    this.preset = this.matchPreset();
+    this.presetSelect.value = this.preset;
+  }
+
+  format(field, value) {
+    const decimals = (String(field.step).split('.')[1] || '').length;
+    return value.toFixed(decimals);
+  }
+
+  // The defaults with a preset's values on top
+  presetValues(id) {
+    return { ...this.defaults, ...SETTINGS_PRESETS[id].parameters };
+  }
+
+  applyPreset(id) {
+    const values = this.presetValues(id);
+    SETTINGS_FIELDS.forEach(({ name }) => this.setValue(name, values[name]));
+    this.preset = id;
+    this.presetSelect.value = id;
+  }
+
+  // The preset the sliders currently match, or 'custom'
+  matchPreset() {
+    const current = this.physics.getParameters();
+    const match = Object.keys(SETTINGS_PRESETS).find((id) => {
+      const values = this.presetValues(id);
+      return SETTINGS_FIELDS.every(({ name }) => values[name] === current[name]);
+    });
+    return match || 'custom';
+  }
+
+  /**
+   * Apply the settings in the page URL: an optional `preset`, then any
+   * parameter values on top of it. Unknown or malformed values are ignored.
+   */
+  readQuery() {
+    const query = new URLSearchParams(window.location.search);
+    const preset = query.get('preset');
+    this.applyPreset(SETTINGS_PRESETS[preset] ? preset : 'default');
+
+    SETTINGS_FIELDS.forEach(({ name }) => {
+      const value = parseFloat(query.get(name));
+      if (Number.isFinite(value)) this.setValue(name, value);
+    });
+    this.preset = this.matchPreset();
+    this.presetSelect.value = this.preset;
+  }
+
+  /**
+   * Mirror the settings into the URL without adding a history entry.
+   * Other query parameters are kept.
+   */
+  writeQuery() {
+    const query = new URLSearchParams(window.location.search);
+    query.delete('preset');
+    SETTINGS_FIELDS.forEach(({ name }) => query.delete(name));
+
+    if (this.preset !== 'custom') {
+      if (this.preset !== 'default') query.set('preset', this.preset);
+    } else {
+      const current = this.physics.getParameters();
+      SETTINGS_FIELDS.forEach(({ name }) => {
+        if (current[name] !== this.defaults[name]) {
+          query.set(name, current[name]);
+        }
+      });
+    }
+
+    const search = query.toString();
+    const url = window.location.pathname + (search ? '?' + search : '');
+    window.history.replaceState(null, '', url + window.location.hash);
+  }
+
+  copyLink() {
+    const url = window.location.href;
+    const done = (label) => {
+      this.copyButton.textContent = label;
+      setTimeout(() => {
+        this.copyButton.textContent = 'Copy link';
+      }, 1500);
+    };
+
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(
+        () => done('Copied!'),
+        () => window.prompt('Copy this link:', url)
+      );
+    } else {
+      window.prompt('Copy this link:', url);
+    }
+  }
+}
+
+// Allow require('./settings-panel.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SettingsPanel, SETTINGS_FIELDS, SETTINGS_PRESETS };
+}
@@ -0,0 +1,240 @@
+/**
+ * Impact Sound
+ *
+ * Procedural collision sounds synthesized with the Web Audio API from the
+ * `collision` and `wallHit` events of BallPhysics. Every hit plays a short
+ * knock: a tone that drops in pitch as it fades, plus a filtered noise click.
+ * - Volume follows the impact speed.
+ * - Pitch rises a little with the impact speed and falls for bigger and
+ *   heavier balls, so a large heavy ball thuds where a small one clicks.
+ * - Hits are panned by where in the container they happen.
+ *
+ * A voice limiter keeps at most `maxVoices` knocks sounding at once and
+ * drops hits beyond that, so a collapsing pile neither clips nor swamps the
+ * audio thread.
+ *
+ * Synthesis goes through an injectable AudioContext (option `context`), so
+ * tests can pass an OfflineAudioContext or a stub. Without one, an
+ * AudioContext is created on the first pointer or key press, as browsers
+ * only start audio after a user gesture; hits before that are silent. That
+ * context is shared by every simulation on the page, as browsers limit how
+ * many can be open.
+ */
+
+// A ball of this size and mass sounds at `baseFrequency`; the default ball
+// (70 px at density 0.1)
+const SOUND_REFERENCE_SIZE = 70;
+const SOUND_REFERENCE_MASS = 0.1 * Math.PI * 35 * 35;
+
+const SOUND_DEFAULTS = {
+  muted: false,
+  volume: 0.5, // Gain of the loudest hit
+  maxVoices: 8,
+  minSpeed: 80, // px/s; slower hits are silent
+  fullSpeed: 1500, // px/s; hits this fast play at full volume
+  baseFrequency: 330, // Hz
+};
+
+class ImpactSound {
+  /**
+   * @param {BallPhysics} physics - Source of collision and wallHit events
+   * @param {Object} [options] - See SOUND_DEFAULTS
+   * @param {BaseAudioContext} [options.context] - Context to synthesize
+   *   into instead of creating one
+   */
+  constructor(physics, options = {}) {
+    const { context, ...settings } = options;
+    this.physics = physics;
+    this.settings = { ...SOUND_DEFAULTS, ...settings };
+    this.muted = this.settings.muted;
+    this.context = null;
+    this.voices = 0; // Knocks currently sounding
+
+    this.unlockListener = () => {
+      this.removeUnlockListeners();
+      this.unlock();
+    };
+    if (context) {
+      this.setContext(context);
+    } else {
+      document.addEventListener('pointerdown', this.unlockListener);
+      document.addEventListener('keydown', this.unlockListener);
+    }
+
+    this.unsubscribe = [
+      physics.on('collision', (event) => this.handleCollision(event)),
+      physics.on('wallHit', (event) => this.handleWallHit(event)),
+    ];
+  }
+
+  removeUnlockListeners() {
+    document.removeEventListener('pointerdown', this.unlockListener);
+    document.removeEventListener('keydown', this.unlockListener);
+  }
+
+  // Stop listening and cut any knocks still ringing
+  destroy() {
+    this.removeUnlockListeners();
+    this.unsubscribe.forEach((off) => off());
+    if (this.master) this.master.disconnect();
+  }
+
+  setContext(context) {
+    this.context = context;
+    this.master = context.createGain();
+    this.master.gain.value = this.settings.volume;
+    this.master.connect(context.destination);
+    this.noise = null;
+  }
+
+  /**
+   * Create the AudioContext if there is none yet and resume it. Must run
+   * inside a user gesture (a click, tap or key press).
+   */
+  unlock() {
+    if (!this.context) {
+      if (!ImpactSound.sharedContext) {
+        const AudioContextClass =
+          window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return; // No Web Audio; stay silent
+        ImpactSound.sharedContext = new AudioContextClass();
+      }
+      this.setContext(ImpactSound.sharedContext);
+    }
+    if (this.context.state === 'suspended' && this.context.resume) {
+      this.context.resume();
+    }
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    if (!muted) this.unlock();
+    // Also cuts knocks that are still ringing
+    if (this.master) this.master.gain.value = muted ? 0 : this.settings.volume;
+  }
+
+  handleCollision(event) {
+    const { ball1, ball2, speed, x } = event;
+    // Both balls ring; their pitches meet in the middle
+    const frequency = Math.sqrt(
+      this.getFrequency(ball1, speed) * this.getFrequency(ball2, speed)
+    );
+    this.play(frequency, speed, x, 0.5);
+  }
+
+  // Walls and obstacles do not ring themselves, but click harder
+  handleWallHit(event) {
+    const { ball, speed, x } = event;
+    this.play(this.getFrequency(ball, speed), speed, x, 0.8);
+  }
+
+  /**
+   * The pitch a ball knocks at when hit at a speed.
+   * @returns {number} Frequency in Hz
+   */
+  getFrequency(ball, speed) {
+    const sizeFactor = Math.sqrt(SOUND_REFERENCE_SIZE / ball.size);
+    const massFactor = Math.pow(SOUND_REFERENCE_MASS / ball.mass, 0.25);
+    const speedFactor = 1 + Math.min(0.3, speed / 5000);
+    const frequency =
+      this.settings.baseFrequency * sizeFactor * massFactor * speedFactor;
+    return Math.min(2000, Math.max(60, frequency));
+  }
+
+  /**
+   * Synthesize one knock, unless muted, too soft or out of voices.
+   * @param {number} frequency - Pitch in Hz
+   * @param {number} speed - Impact speed in px/s, for the volume
+   * @param {number} x - Where the hit happened, for panning
+   * @param {number} click - Level of the noise click relative to the tone
+   */
+  play(frequency, speed, x, click) {
+    const { maxVoices, minSpeed, fullSpeed } = this.settings;
+    if (this.muted || !this.context || !this.isRunning()) return;
+    if (speed < minSpeed || this.voices >= maxVoices) return;
+
+    const context = this.context;
+    const time = context.currentTime;
+    const loudness = Math.pow(Math.min(1, speed / fullSpeed), 1.5);
+    const duration = 0.12 + 0.1 * loudness;
+
+    // Everything for this knock runs through one panned output
+    let output = this.master;
+    let panner = null;
+    const width = this.physics.world.width;
+    if (context.createStereoPanner && width) {
+      panner = context.createStereoPanner();
+      panner.pan.value = Math.max(-1, Math.min(1, (x / width) * 2 - 1)) * 0.6;
+      panner.connect(this.master);
+      output = panner;
+    }
+
+    const toneGain = context.createGain();
+    toneGain.gain.setValueAtTime(0.0001, time);
+    toneGain.gain.exponentialRampToValueAtTime(loudness, time + 0.003);
+    toneGain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+    toneGain.connect(output);
+
+    const tone = context.createOscillator();
+    tone.type = 'triangle';
+    tone.frequency.setValueAtTime(frequency, time);
+    tone.frequency.exponentialRampToValueAtTime(frequency * 0.6, time + duration);
+    tone.connect(toneGain);
+
+    const clickGain = context.createGain();
+    clickGain.gain.setValueAtTime(loudness * click, time);
+    clickGain.gain.exponentialRampToValueAtTime(0.0001, time + 0.03);
+    clickGain.connect(output);
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = Math.min(8000, frequency * 4);
+    filter.connect(clickGain);
+
+    const noise = context.createBufferSource();
+    noise.buffer = this.getNoiseBuffer();
+    noise.connect(filter);
+
+    this.voices++;
+    tone.onended = () => {
+      this.voices--;
+      if (panner) panner.disconnect();
+      toneGain.disconnect();
+      clickGain.disconnect();
+    };
+    tone.start(time);
+    tone.stop(time + duration);
+    noise.start(time);
+    noise.stop(time + 0.03);
+  }
+
+  /**
+   * Whether knocks can be scheduled now. A suspended live context would
+   * play them all at once when resumed; an offline one is suspended until
+   * it renders, so it takes them.
+   */
+  isRunning() {
+    const { state } = this.context;
+    if (state === 'closed') return false;
+    return state !== 'suspended' || 'startRendering' in this.context;
+  }
+
+  // A short buffer of white noise, made once per context
+  getNoiseBuffer() {
+    if (!this.noise) {
+      const length = Math.ceil(this.context.sampleRate * 0.05);
+      this.noise = this.context.createBuffer(1, length, this.context.sampleRate);
+      const data = this.noise.getChannelData(0);
+      for (let i = 0; i < length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    return this.noise;
+  }
+}
+
+// The page's AudioContext, created on the first user gesture
+ImpactSound.sharedContext = null;
+
+// Allow require('./sound.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ImpactSound, SOUND_DEFAULTS };
+}
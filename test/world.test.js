@@ -0,0 +1,120 @@
+/**
+ * World Tests
+ *
+ * Steps a headless World in Node and checks trajectories against the
+ * numbers they should come out at: a ball falling freely and two balls
+ * meeting head-on. Needs nothing but Node:
+ *
+ *   node test/world.test.js
+ *
+ * Reports every test and exits with status 1 if any failed.
+ */
+
+const assert = require('assert');
+const { World } = require('../world.js');
+
+const STEP_RATE = 120;
+const DT = 1 / STEP_RATE;
+
+// A world without air drag, so velocities only change where expected
+function createWorld(options = {}) {
+  return new World({
+    width: 800,
+    height: 600,
+    friction: 1,
+    stepRate: STEP_RATE,
+    allowSleep: false,
+    ...options,
+  });
+}
+
+function createBall(options) {
+  return {
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    radius: 20,
+    mass: 100,
+    rotation: 0,
+    vrotation: 0,
+    isDragging: false,
+    ...options,
+  };
+}
+
+function assertClose(actual, expected, message, tolerance = 1e-9) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${message}: expected ${expected}, got ${actual}`
+  );
+}
+
+const tests = {
+  'a ball falls under gravity'() {
+    const world = createWorld({ gravity: 1440 });
+    const ball = world.addBall(createBall({ x: 400, y: 100 }));
+
+    const steps = 60; // Half a second, well before the floor
+    for (let i = 0; i < steps; i++) world.step();
+
+    // Semi-implicit Euler: v += g·dt, then x += v·dt, every step
+    const gravityPerStep = 1440 * DT;
+    assertClose(ball.vy, gravityPerStep * steps, 'vy', 1e-6);
+    assertClose(
+      ball.y,
+      100 + ((gravityPerStep * DT * steps * (steps + 1)) / 2),
+      'y',
+      1e-6
+    );
+    assert.strictEqual(ball.x, 400, 'x');
+    assert.strictEqual(ball.vx, 0, 'vx');
+  },
+
+  'a falling ball comes to rest on the floor'() {
+    const world = createWorld({ gravity: 1440, bounceDamping: 0.5 });
+    const ball = world.addBall(createBall({ x: 400, y: 100 }));
+
+    for (let i = 0; i < STEP_RATE * 5; i++) world.step();
+
+    assertClose(ball.y, 600 - ball.radius, 'y on the floor', 1);
+    assertClose(ball.vy, 0, 'vy', 1);
+  },
+
+  'equal balls swap velocities in an elastic head-on collision'() {
+    const world = createWorld({
+      gravity: 0,
+      bounceDamping: 1,
+      contactFriction: 0,
+    });
+    const a = world.addBall(createBall({ x: 300, y: 300, vx: 240 }));
+    const b = world.addBall(createBall({ x: 500, y: 300, vx: -240 }));
+
+    // They meet after (200 - 40) / 480 s, a third of a second
+    for (let i = 0; i < STEP_RATE / 2; i++) world.step();
+
+    assertClose(a.vx, -240, 'a.vx', 1e-6);
+    assertClose(b.vx, 240, 'b.vx', 1e-6);
+    assertClose(a.vx * a.mass + b.vx * b.mass, 0, 'momentum', 1e-6);
+    assert.strictEqual(a.vy, 0, 'a.vy');
+    assert.strictEqual(b.vy, 0, 'b.vy');
+    assert.strictEqual(a.y, 300, 'a.y');
+    assert.strictEqual(b.y, 300, 'b.y');
+    // Apart again and mirrored about the middle
+    assert.ok(b.x - a.x > a.radius + b.radius, 'separated');
+    assertClose(a.x + b.x, 800, 'symmetric positions', 1e-6);
+  },
+};
+
+let failed = 0;
+Object.entries(tests).forEach(([name, test]) => {
+  try {
+    test();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`not ok - ${name}\n  ${error.message}`);
+  }
+});
+
+if (failed) process.exit(1);
@@ -0,0 +1,91 @@
+/**
+ * Device Tilt
+ *
+ * Turns DeviceOrientation events into a gravity direction in the plane of
+ * the screen, so balls fall towards whichever edge is held lowest. Events
+ * can also be fed in by hand, e.g. to test without hardware:
+ *
+ *   tilt.handleOrientation({ beta: 0, gamma: 45 });  // tipped to the right
+ *   window.dispatchEvent(Object.assign(new Event('deviceorientation'),
+ *     { beta: 30, gamma: 0 }));
+ */
+
+const TILT_DEG_TO_RAD = Math.PI / 180;
+
+class TiltSource {
+  /**
+   * @param {function(number)} onChange - Called with the gravity angle in
+   *   degrees (0 = down, 90 = right, 180 = up, -90 = left)
+   * @param {Object} [options]
+   * @param {number} [options.deadZone] - Tilt in degrees below which the
+   *   device counts as lying flat and the angle is kept
+   */
+  constructor(onChange, { deadZone = 5 } = {}) {
+    this.onChange = onChange;
+    this.deadZone = deadZone;
+    this.active = false;
+    this.angle = null; // Last angle reported
+    this.listener = (event) => this.handleOrientation(event);
+  }
+
+  /**
+   * Start listening. iOS asks the user for permission first, which only
+   * works from a click or tap handler.
+   * @returns {Promise<boolean>} Whether tilt events are being listened to
+   */
+  async start() {
+    if (this.active) return true;
+
+    const Orientation = window.DeviceOrientationEvent;
+    if (Orientation && typeof Orientation.requestPermission === 'function') {
+      try {
+        if ((await Orientation.requestPermission()) !== 'granted') return false;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    window.addEventListener('deviceorientation', this.listener);
+    this.active = true;
+    return true;
+  }
+
+  stop() {
+    window.removeEventListener('deviceorientation', this.listener);
+    this.active = false;
+  }
+
+  /**
+   * @param {{beta: number, gamma: number}} event - Front-back and
+   *   left-right tilt in degrees, as in a DeviceOrientationEvent
+   */
+  handleOrientation(event) {
+    if (event.beta === null || event.gamma === null) return;
+
+    // Gravity projected onto the screen, in portrait orientation
+    const x = Math.sin((event.gamma || 0) * TILT_DEG_TO_RAD);
+    const y = Math.sin((event.beta || 0) * TILT_DEG_TO_RAD);
+    if (Math.sqrt(x * x + y * y) < Math.sin(this.deadZone * TILT_DEG_TO_RAD)) {
+      return;
+    }
+
+    // Follow the screen when it is rotated to landscape
+    const screenAngle =
+      (window.screen?.orientation?.angle || 0) * TILT_DEG_TO_RAD;
+    const cos = Math.cos(screenAngle);
+    const sin = Math.sin(screenAngle);
+    const screenX = x * cos + y * sin;
+    const screenY = y * cos - x * sin;
+
+    // Ignore sensor noise so resting balls are not woken all the time
+    const angle = Math.atan2(screenX, screenY) / TILT_DEG_TO_RAD;
+    if (this.angle !== null && Math.abs(angle - this.angle) < 1) return;
+    this.angle = angle;
+    this.onChange(angle);
+  }
+}
+
+// Allow require('./tilt.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TiltSource };
+}
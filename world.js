@@ -0,0 +1,1272 @@
+/**
+ * Headless Physics World
+ *
+ * The physics half of the ball simulation: gravity, friction, the
+ * container's boundary and ball-ball collisions on plain ball objects. Nothing in here touches
+ * the DOM or GSAP, so a World can be stepped in the browser, in a Web
+ * Worker, or in Node (e.g. from a unit test that asserts trajectories;
+ * see test/world.test.js).
+ *
+ * Drawing is done by a separate renderer (see renderer.js) that reads the
+ * same ball objects after each step.
+ *
+ * A ball is any object with at least:
+ *   { x, y, vx, vy, radius, mass, rotation, vrotation, isDragging }
+ * and optionally its own `restitution`, `friction` and `inertia`; without
+ * them the world's `bounceDamping`, `contactFriction` and a solid sphere's
+ * moment of inertia apply. Extra properties (DOM elements, colors, ...) are
+ * ignored by the world.
+ *
+ * ROTATION:
+ * ========
+ *
+ * Balls are rigid bodies. Every contact (ball-ball or wall) applies a
+ * normal impulse for the bounce and a tangential friction impulse, capped
+ * by Coulomb's law at `friction` times the normal impulse, that acts on
+ * both the linear and the angular velocity. A ball sliding on the floor is
+ * therefore spun up until it rolls without slipping, and a spinning ball
+ * kicks sideways when it lands. `groundFriction` adds rolling resistance.
+ *
+ * FAST BALLS:
+ * ==========
+ *
+ * A ball that would move further than its own radius in one step is swept
+ * instead of teleported: the world finds the earliest time of impact with
+ * a wall or another ball along its path, resolves that contact, and
+ * continues with the rest of the step. This keeps thrown balls from
+ * tunneling through other balls or jittering against walls.
+ *
+ * RESTING CONTACT AND SLEEPING:
+ * ============================
+ *
+ * Contacts that close slower than RESTING_SPEED are resting ones: they
+ * are absorbed instead of bounced, and overlaps are only corrected down to
+ * CONTACT_SLOP, so stacked balls stay in touch instead of buzzing. Ball
+ * contacts are relaxed `collisionIterations` times per step so the weight
+ * of a pile is passed down to the floor.
+ *
+ * A ball that moves (and spins) slower than `sleepSpeed` for `sleepDelay`
+ * seconds falls asleep: it is no longer integrated and pairs of sleeping
+ * balls are not checked, which makes large idle scenes cheap. To awake
+ * balls, a sleeping ball is as immovable as a wall. It wakes when hit
+ * faster than RESTING_SPEED, when it is dragged, when a ball linked to it
+ * moves, and on any change to the scene (parameters, bounds, obstacles,
+ * removed balls). Set `allowSleep` to false to keep every ball awake.
+ *
+ * pinBall() holds a ball asleep until unpinBall(), so it stays put as a
+ * static obstacle that nothing wakes.
+ *
+ * DRAGGING:
+ * ========
+ *
+ * A ball with `isDragging` set is positioned by input and skipped by the
+ * physics. A ball with a `dragTarget` ({x, y}) instead stays a normal body
+ * pulled towards the target by a damped spring (a "mouse joint"): it takes
+ * part in collisions like any other ball, so sweeping it through a pile
+ * pushes the others according to their mass. `dragFrequency` (Hz) and
+ * `dragDampingRatio` tune the spring; `dragMaxSpeed` caps how fast the
+ * held ball can move.
+ *
+ * BOUNDARY:
+ * ========
+ *
+ * The container's walls are a boundary (see boundaries.js): its rectangle
+ * by default, or a rounded rect, a circle or any closed SVG path, set with
+ * setBoundary() and fitted to the bounds by setBounds(). Every place that
+ * keeps balls inside (the walls, sweeping, clampToBounds for resizes and
+ * drags) goes through it. With an open top, balls that leave the container
+ * are removed (a `ballRemoved` event).
+ *
+ * OBSTACLES:
+ * =========
+ *
+ * Static pegs, segments and convex polygons (see obstacles.js) can be
+ * placed inside the bounds with addObstacle(). Balls bounce off them with
+ * the same restitution and friction model as the walls.
+ *
+ * GRAVITY AND FORCES:
+ * ==================
+ *
+ * Gravity pulls with `gravity` px/s² towards `gravityAngle` degrees
+ * (0 = down, 90 = right, 180 = up, -90 = left); rolling resistance acts
+ * on whichever wall gravity presses a ball against. Attractors, wind zones
+ * and mutual gravitation between balls (see forces.js) are added with
+ * addForce() and applied before the balls move.
+ *
+ * CONSTRAINTS:
+ * ===========
+ *
+ * Rods, ropes and springs (see constraints.js) link two balls, or a ball
+ * and a fixed point, with addConstraint(). Springs act on velocities
+ * before the balls move; rods and ropes are relaxed
+ * `constraintIterations` times after collisions, so chains and pendulums
+ * hold their length when the step ends.
+ *
+ * EVENTS:
+ * ======
+ *
+ * A World is an EventEmitter (see emitter.js). Subscribe with
+ * world.on(type, listener); every event is one plain object:
+ * - collision:   { ball1, ball2, impulse, speed, x, y, normalX, normalY }
+ *                for impacts between balls (not resting contacts); the
+ *                point is where they touch, the normal points 1 -> 2
+ * - wallHit:     { ball, wall, obstacle, impulse, speed, x, y, normalX,
+ *                normalY } for impacts on 'left', 'right', 'top',
+ *                'bottom' or an 'obstacle'
+ * - ballAdded / ballRemoved / sleep / wake: { ball }
+ * `impulse` is in mass·px/s, `speed` the closing speed in px/s.
+ *
+ * TIME AND UNITS:
+ * ==============
+ *
+ * The world integrates with a fixed timestep (`stepRate` steps per second)
+ * no matter how often the caller renders, so a 144 Hz monitor and a 60 Hz
+ * one produce the same motion. All parameters are time-based:
+ * - positions in px, velocities in px/s, gravity in px/s²
+ * - rotation in degrees, vrotation in degrees/s
+ * - friction / groundFriction: fraction of velocity kept after one second
+ *   of flight / rolling on the floor
+ * - bounceDamping: fraction of velocity kept per bounce (unitless)
+ * - contactFriction / ball.friction: Coulomb friction coefficient (unitless)
+ *
+ * Call advance(elapsedSeconds) once per frame; it runs as many fixed steps
+ * as fit and returns the interpolation factor between the last two physics
+ * states. Renderers draw `prevX + (x - prevX) * alpha` (same for y and
+ * rotation) to stay smooth when the frame rate and step rate differ.
+ */
+
+// In Node, load sibling modules onto the global scope so the code below can
+// use them exactly as it does in the browser, where <script> tags do that
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./emitter.js'));
+  Object.assign(globalThis, require('./broadphase.js'));
+  Object.assign(globalThis, require('./obstacles.js'));
+  Object.assign(globalThis, require('./boundaries.js'));
+  Object.assign(globalThis, require('./constraints.js'));
+  Object.assign(globalThis, require('./forces.js'));
+}
+
+// Current time in ms, for step timing
+function currentTimeMs() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Tunable settings saved in snapshots (see getParameters)
+const WORLD_PARAMETERS = [
+  'gravity',
+  'gravityAngle',
+  'friction',
+  'groundFriction',
+  'bounceDamping',
+  'contactFriction',
+  'restitutionCombine',
+  'stepRate',
+  'dragFrequency',
+  'dragDampingRatio',
+  'dragMaxSpeed',
+  'allowSleep',
+  'sleepSpeed',
+  'sleepDelay',
+];
+
+// Most contacts a swept ball resolves in one step
+const MAX_SWEEP_IMPACTS = 4;
+// Overlap (px) left between resting balls, and the distance within which
+// a swept ball counts as touching an obstacle
+const CONTACT_SLOP = 0.5;
+// Closing speed (px/s) below which a contact is resting and does not bounce
+const RESTING_SPEED = 40;
+
+// Speed (px/s) below which a ball gets extra damping to stop it shaking
+const SLOW_SPEED = 6;
+// Fraction of velocity a slow ball keeps per second (0.9 per 60 Hz frame)
+const SLOW_DAMPING = Math.pow(0.9, 60);
+
+// Names of the container walls by the normal pointing into them; curved
+// walls are named after the side they are mostly on
+function wallName(normalX, normalY) {
+  if (Math.abs(normalX) > Math.abs(normalY)) {
+    return normalX < 0 ? 'left' : 'right';
+  }
+  return normalY < 0 ? 'top' : 'bottom';
+}
+
+class World extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.width]  - Width of the bounding box in px
+   * @param {number} [options.height] - Height of the bounding box in px
+   * @param {Object|string} [options.boundary] - Shape of the walls inside
+   *   the box (see boundaries.js); the box itself by default
+   * @param {number} [options.gravity]
+   * @param {number} [options.gravityAngle] - Degrees from straight down
+   * @param {number} [options.friction]
+   * @param {number} [options.groundFriction]
+   * @param {number} [options.bounceDamping]
+   * @param {number} [options.contactFriction] - Default Coulomb friction
+   * @param {string} [options.restitutionCombine] - How two balls'
+   *   restitution mix: 'average', 'min', 'max' or 'multiply'
+   * @param {number} [options.dragFrequency]    - Drag spring stiffness in Hz
+   * @param {number} [options.dragDampingRatio] - 1 settles without overshoot
+   * @param {number} [options.dragMaxSpeed]     - px/s
+   * @param {number} [options.stepRate]    - Physics steps per second
+   * @param {number} [options.maxSubSteps] - Most steps run per advance() call
+   * @param {boolean} [options.broadPhase] - Use the spatial hash (default
+   *   true); false compares every pair, for benchmarking
+   * @param {boolean} [options.continuousCollisions] - Sweep fast balls to
+   *   stop tunneling (default true)
+   * @param {number} [options.constraintIterations] - Relaxation passes per
+   *   step for rods and ropes (default 10)
+   * @param {number} [options.collisionIterations] - Relaxation passes per
+   *   step for ball contacts (default 4)
+   * @param {boolean} [options.allowSleep] - Let resting balls sleep
+   * @param {number} [options.sleepSpeed] - px/s
+   * @param {number} [options.sleepDelay] - Seconds at rest before sleeping
+   */
+  constructor(options = {}) {
+    super();
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+    this.boundary = createBoundary(options.boundary);
+    this.boundary.setSize(this.width, this.height);
+    this.balls = [];
+    this.obstacles = [];
+    this.constraints = [];
+    this.forces = [];
+    this.nextBallId = 1;
+
+    // PHYSICS PARAMETERS (see the configuration guide in script.js)
+    this.gravity = options.gravity ?? 1440;
+    this.gravityAngle = options.gravityAngle ?? 0;
+    this.friction = options.friction ?? 0.3;
+    this.groundFriction = options.groundFriction ?? 0.55;
+    this.bounceDamping = options.bounceDamping ?? 0.95;
+    this.contactFriction = options.contactFriction ?? 0.4;
+    this.restitutionCombine = options.restitutionCombine || 'average';
+
+    // SPRING DRAGGING (balls with a dragTarget)
+    this.dragFrequency = options.dragFrequency ?? 5;
+    this.dragDampingRatio = options.dragDampingRatio ?? 0.7;
+    this.dragMaxSpeed = options.dragMaxSpeed ?? 2400;
+
+    // FIXED TIMESTEP
+    this.stepRate = options.stepRate ?? 120;
+    this.maxSubSteps = options.maxSubSteps ?? 8;
+    this.accumulator = 0;
+    this.stepCount = 0; // Steps run so far; input logs are keyed by it
+
+    // COLLISION DETECTION
+    this.broadPhase = options.broadPhase === false ? null : new SpatialHash();
+    this.continuousCollisions = options.continuousCollisions ?? true;
+    this.sweptBalls = null; // Fast balls moved so far this step
+    this.constraintIterations = options.constraintIterations ?? 10;
+    this.collisionIterations = options.collisionIterations ?? 4;
+
+    // SLEEPING
+    this.allowSleep = options.allowSleep ?? true;
+    this.sleepSpeed = options.sleepSpeed ?? 10;
+    this.sleepDelay = options.sleepDelay ?? 0.5;
+    // Counters for the last step, read by the benchmark
+    this.stats = { pairChecks: 0, collisions: 0, stepTime: 0 };
+
+    // Called as onBeforeStep(stepCount) before each step, e.g. to feed in
+    // recorded input at the exact step it originally happened
+    this.onBeforeStep = options.onBeforeStep || null;
+  }
+
+  // The tunable settings, as a plain object
+  getParameters() {
+    const parameters = {};
+    WORLD_PARAMETERS.forEach((name) => {
+      parameters[name] = this[name];
+    });
+    return parameters;
+  }
+
+  setParameters(parameters) {
+    WORLD_PARAMETERS.forEach((name) => {
+      if (parameters[name] !== undefined) this[name] = parameters[name];
+    });
+    this.wakeAll();
+  }
+
+  setBounds(width, height) {
+    if (width !== this.width || height !== this.height) this.wakeAll();
+    this.width = width;
+    this.height = height;
+    this.boundary.setSize(width, height);
+  }
+
+  /**
+   * Change the shape of the walls and bring every ball inside it.
+   * @param {Object|string} definition - See boundaries.js
+   * @returns {Object} The boundary instance
+   */
+  setBoundary(definition) {
+    this.boundary = createBoundary(definition);
+    this.boundary.setSize(this.width, this.height);
+    this.settleInBounds();
+    return this.boundary;
+  }
+
+  /**
+   * Add a ball, giving it a stable numeric `id` unless it has one.
+   */
+  addBall(ball) {
+    if (ball.id === undefined) ball.id = this.nextBallId++;
+    else this.nextBallId = Math.max(this.nextBallId, ball.id + 1);
+    this.syncPrevious(ball);
+    this.balls.push(ball);
+    this.emit('ballAdded', { ball });
+    return ball;
+  }
+
+  getBallById(id) {
+    return this.balls.find((ball) => ball.id === id) || null;
+  }
+
+  // Remove a ball along with the constraints attached to it
+  removeBall(ball) {
+    const index = this.balls.indexOf(ball);
+    if (index === -1) return;
+    this.balls.splice(index, 1);
+    this.constraints = this.constraints.filter(
+      (constraint) => constraint.a !== ball && constraint.b !== ball
+    );
+    // Whatever rested on it has to fall
+    this.wakeAll();
+    this.emit('ballRemoved', { ball });
+  }
+
+  wakeBall(ball) {
+    if (ball.pinned) return;
+    const wasSleeping = ball.sleeping;
+    ball.sleeping = false;
+    ball.sleepTime = 0;
+    if (wasSleeping) this.emit('wake', { ball });
+  }
+
+  wakeAll() {
+    this.balls.forEach((ball) => this.wakeBall(ball));
+  }
+
+  sleepBall(ball) {
+    ball.sleeping = true;
+    ball.vx = 0;
+    ball.vy = 0;
+    ball.vrotation = 0;
+    this.emit('sleep', { ball });
+  }
+
+  // Fix a ball where it is, as immovable as a wall
+  pinBall(ball) {
+    ball.pinned = true;
+    ball.sleeping = true;
+    ball.sleepTime = 0;
+    ball.vx = 0;
+    ball.vy = 0;
+    ball.vrotation = 0;
+  }
+
+  unpinBall(ball) {
+    ball.pinned = false;
+    // It falls, and whatever rested on it with it
+    this.wakeAll();
+  }
+
+  /**
+   * Count how long each ball has been nearly still and put the ones that
+   * have been for `sleepDelay` seconds to sleep.
+   */
+  updateSleep(dt) {
+    this.balls.forEach((ball) => {
+      if (ball.sleeping) return;
+      if (!this.allowSleep || ball.isDragging || ball.dragTarget) {
+        ball.sleepTime = 0;
+        return;
+      }
+
+      const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+      const spin = Math.abs(ball.vrotation * DEG_TO_RAD) * ball.radius;
+      if (speed < this.sleepSpeed && spin < this.sleepSpeed) {
+        ball.sleepTime = (ball.sleepTime || 0) + dt;
+        if (ball.sleepTime >= this.sleepDelay) this.sleepBall(ball);
+      } else {
+        ball.sleepTime = 0;
+      }
+    });
+  }
+
+  clear() {
+    this.balls = [];
+    this.constraints = [];
+  }
+
+  /**
+   * Link two balls, or a ball and a fixed point.
+   * @param {Object} constraint - A constraint instance or a plain definition
+   *   such as { type: 'rod', a: ballId, x, y } (see constraints.js)
+   * @param {Object} [options]
+   * @param {boolean} [options.wake] - Wake the linked balls (true); off
+   *   when restoring a snapshot, whose balls keep their sleep state
+   * @returns {Object} The constraint instance
+   */
+  addConstraint(constraint, { wake = true } = {}) {
+    const instance =
+      typeof constraint.solve === 'function'
+        ? constraint
+        : createConstraint(constraint, (id) => this.getBallById(id));
+    this.constraints.push(instance);
+    if (wake) {
+      this.wakeBall(instance.a);
+      if (instance.b.id !== undefined) this.wakeBall(instance.b);
+    }
+    return instance;
+  }
+
+  removeConstraint(constraint) {
+    const index = this.constraints.indexOf(constraint);
+    if (index !== -1) this.constraints.splice(index, 1);
+    this.wakeAll();
+  }
+
+  clearConstraints() {
+    this.constraints = [];
+    this.wakeAll();
+  }
+
+  /**
+   * Add a force field.
+   * @param {Object} force - A force instance or a plain definition such as
+   *   { type: 'attractor', x, y, strength } (see forces.js)
+   * @returns {Object} The force instance
+   */
+  addForce(force) {
+    const instance =
+      typeof force.apply === 'function' ? force : createForce(force);
+    this.forces.push(instance);
+    this.wakeAll();
+    return instance;
+  }
+
+  removeForce(force) {
+    const index = this.forces.indexOf(force);
+    if (index !== -1) this.forces.splice(index, 1);
+    this.wakeAll();
+  }
+
+  clearForces() {
+    this.forces = [];
+    this.wakeAll();
+  }
+
+  // Gravity as an acceleration vector in px/s²
+  getGravity() {
+    const angle = this.gravityAngle * DEG_TO_RAD;
+    return {
+      x: this.gravity * Math.sin(angle),
+      y: this.gravity * Math.cos(angle),
+    };
+  }
+
+  // Wake sleeping balls linked to a ball that is moving
+  wakeLinkedBalls() {
+    this.constraints.forEach((constraint) => {
+      const { a, b } = constraint;
+      if (b.id === undefined || a.sleeping === b.sleeping) return;
+
+      const sleeper = a.sleeping ? a : b;
+      const mover = a.sleeping ? b : a;
+      const speed = Math.sqrt(mover.vx * mover.vx + mover.vy * mover.vy);
+      if (speed >= this.sleepSpeed || mover.isDragging || mover.dragTarget) {
+        this.wakeBall(sleeper);
+      }
+    });
+  }
+
+  // Pull rods and ropes back to their length
+  solveConstraints() {
+    if (!this.constraints.length) return;
+    for (let i = 0; i < this.constraintIterations; i++) {
+      this.constraints.forEach((constraint) => constraint.solve());
+    }
+  }
+
+  /**
+   * Place a static obstacle.
+   * @param {Object} obstacle - An obstacle instance or a plain definition
+   *   such as { type: 'peg', x, y, radius } (see obstacles.js)
+   * @returns {Object} The obstacle instance
+   */
+  addObstacle(obstacle) {
+    const instance =
+      typeof obstacle.getContact === 'function'
+        ? obstacle
+        : createObstacle(obstacle);
+    this.obstacles.push(instance);
+    this.wakeAll();
+    return instance;
+  }
+
+  removeObstacle(obstacle) {
+    const index = this.obstacles.indexOf(obstacle);
+    if (index !== -1) this.obstacles.splice(index, 1);
+    this.wakeAll();
+  }
+
+  clearObstacles() {
+    this.obstacles = [];
+    this.wakeAll();
+  }
+
+  /**
+   * Push a ball out of every obstacle it overlaps.
+   * @param {Object} ball
+   * @param {boolean} [bounce] - Also resolve the contact velocities
+   */
+  collideWithObstacles(ball, bounce = true) {
+    this.obstacles.forEach((obstacle) => {
+      const bounds = obstacle.bounds;
+      if (
+        ball.x + ball.radius < bounds.minX ||
+        ball.x - ball.radius > bounds.maxX ||
+        ball.y + ball.radius < bounds.minY ||
+        ball.y - ball.radius > bounds.maxY
+      ) {
+        return;
+      }
+
+      const contact = obstacle.getContact(ball);
+      if (!contact) return;
+
+      ball.x -= contact.normalX * contact.depth;
+      ball.y -= contact.normalY * contact.depth;
+      if (bounce) {
+        this.resolveWallContact(ball, contact.normalX, contact.normalY, obstacle);
+      }
+    });
+  }
+
+  /**
+   * Find the topmost ball (the last one added) covering a point.
+   * @returns {Object|null}
+   */
+  getBallAt(x, y) {
+    return this.getBallsAt(x, y)[0] || null;
+  }
+
+  /**
+   * Every ball covering a point, topmost first.
+   * @returns {Array}
+   */
+  getBallsAt(x, y) {
+    const found = [];
+    for (let i = this.balls.length - 1; i >= 0; i--) {
+      const ball = this.balls[i];
+      const dx = x - ball.x;
+      const dy = y - ball.y;
+      if (dx * dx + dy * dy <= ball.radius * ball.radius) found.push(ball);
+    }
+    return found;
+  }
+
+  /**
+   * Record the current state as the interpolation start point, so the next
+   * render does not blend from a stale position (after a teleport, etc).
+   */
+  syncPrevious(ball) {
+    ball.prevX = ball.x;
+    ball.prevY = ball.y;
+    ball.prevRotation = ball.rotation;
+  }
+
+  getRestitution(ball) {
+    return ball.restitution ?? this.bounceDamping;
+  }
+
+  getFriction(ball) {
+    return ball.friction ?? this.contactFriction;
+  }
+
+  // Moment of inertia; a solid sphere unless the ball sets its own
+  getInertia(ball) {
+    return ball.inertia ?? 0.4 * ball.mass * ball.radius * ball.radius;
+  }
+
+  /**
+   * Restitution for a collision between two balls (or a ball and an
+   * obstacle), mixing both materials according to `restitutionCombine`.
+   */
+  combineRestitution(body1, body2) {
+    const e1 = this.getRestitution(body1);
+    const e2 = this.getRestitution(body2);
+
+    switch (this.restitutionCombine) {
+      case 'min':
+        return Math.min(e1, e2);
+      case 'max':
+        return Math.max(e1, e2);
+      case 'multiply':
+        return e1 * e2;
+      default:
+        return (e1 + e2) / 2;
+    }
+  }
+
+  /**
+   * Move a ball (or any {x, y, radius}) inside the boundary, without
+   * touching its velocity.
+   */
+  clampToBounds(ball) {
+    this.boundary.getContacts(ball).forEach((contact) => {
+      ball.x -= contact.normalX * contact.depth;
+      ball.y -= contact.normalY * contact.depth;
+    });
+  }
+
+  /**
+   * Run as many fixed steps as fit into the elapsed wall-clock time.
+   * Time beyond `maxSubSteps` steps is dropped, so a long stall (a
+   * throttled background tab, a breakpoint) resumes smoothly instead of
+   * fast-forwarding.
+   * @param {number} elapsed - Seconds since the previous call
+   * @returns {number} Interpolation factor (0-1) for rendering
+   */
+  advance(elapsed) {
+    const dt = 1 / this.stepRate;
+    this.accumulator = Math.min(
+      this.accumulator + Math.max(0, elapsed),
+      dt * this.maxSubSteps
+    );
+
+    while (this.accumulator >= dt) {
+      this.step(dt);
+      this.accumulator -= dt;
+    }
+
+    return this.accumulator / dt;
+  }
+
+  /**
+   * Advance the simulation by one fixed tick.
+   * @param {number} [dt] - Step length in seconds (defaults to 1 / stepRate)
+   */
+  step(dt = 1 / this.stepRate) {
+    if (this.onBeforeStep) this.onBeforeStep(this.stepCount);
+
+    const startTime = currentTimeMs();
+    this.stats.pairChecks = 0;
+    this.stats.collisions = 0;
+
+    const airDamping = Math.pow(this.friction, dt);
+    const groundDamping = Math.pow(this.groundFriction, dt);
+    const slowDamping = Math.pow(SLOW_DAMPING, dt);
+
+    const gravity = this.getGravity();
+    const escaped = [];
+
+    this.wakeLinkedBalls();
+    this.constraints.forEach((constraint) => constraint.applyForce(dt));
+    this.forces.forEach((force) => force.apply(this.balls, dt));
+    this.sweptBalls = null; // See forEachSweepCandidate()
+
+    this.balls.forEach((ball) => {
+      this.syncPrevious(ball);
+
+      // Dragged balls are positioned by input, not by physics
+      if (ball.isDragging) {
+        if (ball.sleeping) this.wakeBall(ball);
+        return;
+      }
+      if (ball.sleeping) return;
+
+      if (ball.dragTarget) this.applyDragSpring(ball, dt);
+      ball.vx += gravity.x * dt;
+      ball.vy += gravity.y * dt;
+      ball.vx *= airDamping;
+      ball.vy *= airDamping;
+
+      // Sweep balls that would skip past something thinner than themselves
+      const displacement = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy) * dt;
+      if (this.continuousCollisions && displacement > ball.radius) {
+        this.sweepBall(ball, dt);
+      } else {
+        ball.x += ball.vx * dt;
+        ball.y += ball.vy * dt;
+      }
+
+      // Out through an open top; removed once the step is done
+      if (this.boundary.hasEscaped(ball) && !ball.dragTarget) {
+        escaped.push(ball);
+        return;
+      }
+
+      // Apply velocity damping when balls are moving very slowly (reduces shaking)
+      const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+      if (speed < SLOW_SPEED) {
+        ball.vx *= slowDamping;
+        ball.vy *= slowDamping;
+        ball.vrotation *= slowDamping; // Add damping for rotation
+      }
+
+      const floor = this.collideWithWalls(ball);
+      if (floor) {
+        // Rolling resistance, on the velocity along the floor
+        const tangentX = -floor.normalY;
+        const tangentY = floor.normalX;
+        const slide =
+          (ball.vx * tangentX + ball.vy * tangentY) * (1 - groundDamping);
+        ball.vx -= tangentX * slide;
+        ball.vy -= tangentY * slide;
+        ball.vrotation *= groundDamping;
+      }
+
+      this.collideWithObstacles(ball);
+
+      // Additional bounds safety check (prevents balls from going outside on resize)
+      this.clampToBounds(ball);
+
+      // Update rotation
+      ball.rotation += ball.vrotation * dt;
+    });
+
+    escaped.forEach((ball) => this.removeBall(ball));
+    this.checkBallCollisions();
+    this.solveConstraints();
+    this.updateSleep(dt);
+    this.stepCount++;
+    this.stats.stepTime = currentTimeMs() - startTime;
+  }
+
+  /**
+   * Pull a ball towards its dragTarget. The spring is integrated
+   * implicitly, so it stays stable however stiff it is set.
+   */
+  applyDragSpring(ball, dt) {
+    const omega = 2 * Math.PI * this.dragFrequency;
+    const stiffness = omega * omega * dt;
+    const divisor = 1 + 2 * this.dragDampingRatio * omega * dt + stiffness * dt;
+
+    ball.vx = (ball.vx + stiffness * (ball.dragTarget.x - ball.x)) / divisor;
+    ball.vy = (ball.vy + stiffness * (ball.dragTarget.y - ball.y)) / divisor;
+
+    const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+    if (speed > this.dragMaxSpeed) {
+      ball.vx *= this.dragMaxSpeed / speed;
+      ball.vy *= this.dragMaxSpeed / speed;
+    }
+  }
+
+  /**
+   * Keep a ball inside the boundary, bouncing it off the walls it reaches.
+   * @returns {{normalX: number, normalY: number}|null} The wall that acts
+   *   as the floor (the one gravity presses the ball into most), if touched
+   */
+  collideWithWalls(ball) {
+    const gravity = this.getGravity();
+    let floor = null;
+    let floorPressure = 0;
+    const touch = (normalX, normalY) => {
+      this.resolveWallContact(ball, normalX, normalY);
+      const pressure = gravity.x * normalX + gravity.y * normalY;
+      if (pressure > floorPressure) {
+        floor = { normalX, normalY };
+        floorPressure = pressure;
+      }
+    };
+
+    this.boundary.getContacts(ball).forEach((contact) => {
+      ball.x -= contact.normalX * contact.depth;
+      ball.y -= contact.normalY * contact.depth;
+      touch(contact.normalX, contact.normalY);
+    });
+    return floor;
+  }
+
+  /**
+   * Move a fast ball through `dt` seconds, stopping at each wall or ball
+   * in its path to resolve the contact before continuing. Other balls are
+   * treated as standing still for the rest of this step.
+   */
+  sweepBall(ball, dt) {
+    let remaining = dt;
+
+    for (let i = 0; i < MAX_SWEEP_IMPACTS && remaining > 0; i++) {
+      const impact = this.findEarliestImpact(ball, remaining);
+      if (!impact) break;
+
+      ball.x += ball.vx * impact.time;
+      ball.y += ball.vy * impact.time;
+      remaining -= impact.time;
+
+      if (impact.ball) {
+        const other = impact.ball;
+        const dx = other.x - ball.x;
+        const dy = other.y - ball.y;
+        const minDistance = ball.radius + other.radius;
+        this.stats.collisions++;
+        this.handleBallCollision(ball, other, dx, dy, minDistance, minDistance);
+      } else if (impact.obstacle) {
+        const contact = impact.obstacle.getContact(ball, CONTACT_SLOP);
+        if (contact) {
+          this.resolveWallContact(
+            ball,
+            contact.normalX,
+            contact.normalY,
+            impact.obstacle
+          );
+        }
+      } else {
+        this.resolveWallContact(ball, impact.normalX, impact.normalY);
+      }
+    }
+
+    ball.x += ball.vx * remaining;
+    ball.y += ball.vy * remaining;
+  }
+
+  /**
+   * Earliest contact along a ball's straight-line path within `maxTime`.
+   * @returns {{time: number, ball?: Object, obstacle?: Object,
+   *   normalX?: number, normalY?: number}|null} The other ball or obstacle,
+   *   or the wall's normal
+   */
+  findEarliestImpact(ball, maxTime) {
+    let earliest = null;
+    const consider = (time, impact) => {
+      if (time >= 0 && time <= maxTime && (!earliest || time < earliest.time)) {
+        earliest = { time, ...impact };
+      }
+    };
+
+    const wall = this.boundary.timeOfImpact(ball, maxTime);
+    if (wall) {
+      consider(wall.time, { normalX: wall.normalX, normalY: wall.normalY });
+    }
+
+    // Other balls, as circles of the combined radius
+    this.forEachSweepCandidate(ball, maxTime, (other) => {
+      if (other === ball || other.isDragging) return;
+
+      const time = circleTimeOfImpact(
+        ball.x,
+        ball.y,
+        ball.vx,
+        ball.vy,
+        other.x,
+        other.y,
+        ball.radius + other.radius,
+        maxTime
+      );
+      if (time !== null) consider(time, { ball: other });
+    });
+
+    this.obstacles.forEach((obstacle) => {
+      const time = obstacle.timeOfImpact(ball, maxTime);
+      if (time !== null) consider(time, { obstacle });
+    });
+
+    return earliest;
+  }
+
+  /**
+   * Call back with every ball a fast ball might hit within `maxTime`
+   * (possibly more than once). Uses the broad phase, built on the step's
+   * first sweep: balls not swept since then have moved less than their
+   * radius, at most half a cell, while balls swept since are not where
+   * the hash has them and are checked one by one.
+   */
+  forEachSweepCandidate(ball, maxTime, callback) {
+    if (!this.broadPhase) {
+      this.balls.forEach(callback);
+      return;
+    }
+    if (!this.sweptBalls) {
+      this.broadPhase.rebuild(this.balls);
+      this.sweptBalls = [];
+    }
+    if (!this.sweptBalls.includes(ball)) this.sweptBalls.push(ball);
+
+    // The path's bounds, padded by both radii, the other ball's move and
+    // some slack for contact corrections
+    const endX = ball.x + ball.vx * maxTime;
+    const endY = ball.y + ball.vy * maxTime;
+    const pad = ball.radius + this.broadPhase.cellSize * 2;
+    this.broadPhase.forEachInBox(
+      Math.min(ball.x, endX) - pad,
+      Math.min(ball.y, endY) - pad,
+      Math.max(ball.x, endX) + pad,
+      Math.max(ball.y, endY) + pad,
+      callback
+    );
+    this.sweptBalls.forEach(callback);
+  }
+
+  /**
+   * Bounce a ball off a static surface and apply contact friction.
+   * @param {Object} ball
+   * @param {number} normalX - Unit normal pointing from the ball's center
+   * @param {number} normalY   towards the surface
+   * @param {Object} [surface] - An obstacle with its own restitution and
+   *   friction to mix with the ball's; the container walls have none
+   */
+  resolveWallContact(ball, normalX, normalY, surface) {
+    const velAlongNormal = ball.vx * normalX + ball.vy * normalY;
+    // Moving away from the surface already
+    if (velAlongNormal <= 0) return;
+
+    // Resting contacts are absorbed so balls lie still on the floor
+    let e = 0;
+    if (velAlongNormal > RESTING_SPEED) {
+      e = surface
+        ? this.combineRestitution(ball, surface)
+        : this.getRestitution(ball);
+    }
+    const normalImpulse = (1 + e) * velAlongNormal * ball.mass;
+    ball.vx -= (normalImpulse / ball.mass) * normalX;
+    ball.vy -= (normalImpulse / ball.mass) * normalY;
+
+    if (e > 0 && this.hasListeners('wallHit')) {
+      this.emit('wallHit', {
+        ball,
+        wall: surface ? 'obstacle' : wallName(normalX, normalY),
+        obstacle: surface || null,
+        impulse: normalImpulse,
+        speed: velAlongNormal,
+        x: ball.x + normalX * ball.radius,
+        y: ball.y + normalY * ball.radius,
+        normalX,
+        normalY,
+      });
+    }
+
+    // Slip of the contact point along the surface, including spin
+    const tangentX = -normalY;
+    const tangentY = normalX;
+    const omega = ball.vrotation * DEG_TO_RAD;
+    const slip = ball.vx * tangentX + ball.vy * tangentY + omega * ball.radius;
+
+    const inertia = this.getInertia(ball);
+    const tangentMass =
+      1 / (1 / ball.mass + (ball.radius * ball.radius) / inertia);
+    const mu = surface
+      ? Math.sqrt(this.getFriction(ball) * this.getFriction(surface))
+      : this.getFriction(ball);
+    const maxFriction = mu * normalImpulse;
+    const frictionImpulse = Math.max(
+      -maxFriction,
+      Math.min(maxFriction, -slip * tangentMass)
+    );
+
+    ball.vx += (frictionImpulse / ball.mass) * tangentX;
+    ball.vy += (frictionImpulse / ball.mass) * tangentY;
+    ball.vrotation +=
+      ((frictionImpulse * ball.radius) / inertia) / DEG_TO_RAD;
+  }
+
+  /**
+   * Call back with every pair of balls that might be touching. Uses the
+   * spatial hash when enabled, otherwise every pair.
+   * @param {function(Object, Object)} callback
+   */
+  forEachCandidatePair(callback) {
+    if (this.broadPhase) {
+      this.broadPhase.rebuild(this.balls);
+      this.broadPhase.forEachPair(callback);
+      return;
+    }
+
+    for (let i = 0; i < this.balls.length; i++) {
+      for (let j = i + 1; j < this.balls.length; j++) {
+        callback(this.balls[i], this.balls[j]);
+      }
+    }
+  }
+
+  /**
+   * Find touching pairs, then resolve them `collisionIterations` times so
+   * impulses travel through stacks and piles. Walls and obstacles are
+   * resolved again in every pass, so the floor holds up the whole pile.
+   */
+  checkBallCollisions() {
+    const contacts = [];
+    const touching = new Set();
+    this.forEachCandidatePair((ball1, ball2) => {
+      // Skip collision checks if either ball is being dragged
+      if (ball1.isDragging || ball2.isDragging) return;
+      // Sleeping balls do not move, so they cannot start touching
+      if (ball1.sleeping && ball2.sleeping) return;
+      this.stats.pairChecks++;
+
+      const dx = ball2.x - ball1.x;
+      const dy = ball2.y - ball1.y;
+      const minDistance = ball1.radius + ball2.radius;
+      if (dx * dx + dy * dy < minDistance * minDistance) {
+        this.stats.collisions++;
+        contacts.push([ball1, ball2]);
+        touching.add(ball1);
+        touching.add(ball2);
+      }
+    });
+
+    for (let i = 0; i < this.collisionIterations; i++) {
+      contacts.forEach(([ball1, ball2]) => {
+        const dx = ball2.x - ball1.x;
+        const dy = ball2.y - ball1.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const minDistance = ball1.radius + ball2.radius;
+
+        if (distance < minDistance && distance > 0) {
+          this.handleBallCollision(ball1, ball2, dx, dy, distance, minDistance);
+        }
+      });
+
+      touching.forEach((ball) => {
+        if (ball.sleeping) return;
+        this.collideWithWalls(ball);
+        this.collideWithObstacles(ball);
+      });
+    }
+  }
+
+  // Resistance to being pushed: none for sleeping balls, like a wall
+  getInverseMass(ball) {
+    return ball.sleeping ? 0 : 1 / ball.mass;
+  }
+
+  handleBallCollision(ball1, ball2, dx, dy, distance, minDistance) {
+    const normalX = dx / distance;
+    const normalY = dy / distance;
+
+    // Speed at which the balls close in along the normal
+    const approach = -(
+      (ball2.vx - ball1.vx) * normalX +
+      (ball2.vy - ball1.vy) * normalY
+    );
+
+    // A real impact wakes sleeping balls; a resting touch does not
+    if (approach > RESTING_SPEED) {
+      if (ball1.sleeping) this.wakeBall(ball1);
+      if (ball2.sleeping) this.wakeBall(ball2);
+    }
+
+    const weight1 = this.getInverseMass(ball1);
+    const weight2 = this.getInverseMass(ball2);
+    const totalWeight = weight1 + weight2;
+    if (totalWeight === 0) return;
+
+    // Separate the balls by mass, leaving them just touching
+    const overlap = Math.max(0, minDistance - distance - CONTACT_SLOP);
+    ball1.x -= normalX * overlap * (weight1 / totalWeight);
+    ball1.y -= normalY * overlap * (weight1 / totalWeight);
+    ball2.x += normalX * overlap * (weight2 / totalWeight);
+    ball2.y += normalY * overlap * (weight2 / totalWeight);
+
+    // Don't resolve if velocities are separating
+    if (approach <= 0) return;
+
+    // Resting contacts are absorbed instead of bounced, so stacks stay still
+    const isImpact = approach > RESTING_SPEED;
+    const e = isImpact ? this.combineRestitution(ball1, ball2) : 0;
+    const j = ((1 + e) * approach) / totalWeight;
+
+    ball1.vx -= normalX * j * weight1;
+    ball1.vy -= normalY * j * weight1;
+    ball2.vx += normalX * j * weight2;
+    ball2.vy += normalY * j * weight2;
+
+    this.applyContactFriction(ball1, ball2, normalX, normalY, j);
+
+    if (isImpact && this.hasListeners('collision')) {
+      this.emit('collision', {
+        ball1,
+        ball2,
+        impulse: j,
+        speed: approach,
+        x: ball1.x + normalX * ball1.radius,
+        y: ball1.y + normalY * ball1.radius,
+        normalX,
+        normalY,
+      });
+    }
+  }
+
+  /**
+   * Friction between two touching balls: a tangential impulse, capped at
+   * the combined friction coefficient times the normal impulse, that
+   * reduces the slip between their surfaces and transfers spin.
+   */
+  applyContactFriction(ball1, ball2, normalX, normalY, normalImpulse) {
+    const tangentX = -normalY;
+    const tangentY = normalX;
+    const omega1 = ball1.vrotation * DEG_TO_RAD;
+    const omega2 = ball2.vrotation * DEG_TO_RAD;
+
+    // Surface velocity of ball2 relative to ball1 at the contact point
+    const slip =
+      (ball2.vx - ball1.vx) * tangentX +
+      (ball2.vy - ball1.vy) * tangentY -
+      omega2 * ball2.radius -
+      omega1 * ball1.radius;
+
+    // Linear and angular give of each ball; none for a sleeping one
+    const weight1 = this.getInverseMass(ball1);
+    const weight2 = this.getInverseMass(ball2);
+    const spin1 = weight1 && ball1.radius / this.getInertia(ball1);
+    const spin2 = weight2 && ball2.radius / this.getInertia(ball2);
+    const tangentMass =
+      1 /
+      (weight1 + weight2 + spin1 * ball1.radius + spin2 * ball2.radius);
+
+    const mu = Math.sqrt(this.getFriction(ball1) * this.getFriction(ball2));
+    const maxFriction = mu * normalImpulse;
+    const frictionImpulse = Math.max(
+      -maxFriction,
+      Math.min(maxFriction, -slip * tangentMass)
+    );
+
+    ball1.vx -= frictionImpulse * weight1 * tangentX;
+    ball1.vy -= frictionImpulse * weight1 * tangentY;
+    ball2.vx += frictionImpulse * weight2 * tangentX;
+    ball2.vy += frictionImpulse * weight2 * tangentY;
+    ball1.vrotation -= (frictionImpulse * spin1) / DEG_TO_RAD;
+    ball2.vrotation -= (frictionImpulse * spin2) / DEG_TO_RAD;
+  }
+
+  /**
+   * Stop all balls and pull them back inside the (possibly new) bounds.
+   * Used after the container has been resized.
+   */
+  settleInBounds() {
+    this.wakeAll();
+
+    // Reset velocities to prevent supersonic speeds
+    this.balls.forEach((ball) => {
+      ball.vx = 0;
+      ball.vy = 0;
+
+      // Ensure balls are within new container bounds and out of obstacles
+      this.clampToBounds(ball);
+      this.collideWithObstacles(ball, false);
+    });
+
+    // Separate any overlapping balls after resize
+    this.separateOverlappingBalls();
+    this.balls.forEach((ball) => this.syncPrevious(ball));
+  }
+
+  // Method to separate overlapping balls after resize. Moved balls are
+  // woken (they may have lost their support) and not interpolated from
+  // where they were.
+  separateOverlappingBalls() {
+    const maxIterations = 10;
+    const moved = new Set();
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      let hasOverlap = false;
+
+      this.forEachCandidatePair((ball1, ball2) => {
+        if (ball1.pinned && ball2.pinned) return;
+        const dx = ball2.x - ball1.x;
+        const dy = ball2.y - ball1.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const minDistance = ball1.radius + ball2.radius;
+
+        if (distance < minDistance && distance > 0) {
+          hasOverlap = true;
+
+          // Calculate separation
+          const overlap = minDistance - distance;
+          const normalX = dx / distance;
+          const normalY = dy / distance;
+
+          // Move balls apart; pinned balls stay put
+          let share1 = 0.5;
+          if (ball1.pinned) share1 = 0;
+          else if (ball2.pinned) share1 = 1;
+          ball1.x -= normalX * overlap * share1;
+          ball1.y -= normalY * overlap * share1;
+          ball2.x += normalX * overlap * (1 - share1);
+          ball2.y += normalY * overlap * (1 - share1);
+          if (share1 > 0) moved.add(ball1);
+          if (share1 < 1) moved.add(ball2);
+
+          // Ensure balls stay within bounds
+          this.clampToBounds(ball1);
+          this.clampToBounds(ball2);
+        }
+      });
+
+      // If no overlaps found, we're done
+      if (!hasOverlap) break;
+    }
+
+    moved.forEach((ball) => {
+      this.wakeBall(ball);
+      this.syncPrevious(ball);
+    });
+  }
+
+  /**
+   * Resolve where a dragged ball may go without overlapping the others,
+   * nudging the balls it runs into out of the way.
+   * @returns {{x: number, y: number}} The resolved position
+   */
+  resolveDragCollisions(draggedBall, desiredX, desiredY) {
+    let resolvedX = desiredX;
+    let resolvedY = desiredY;
+
+    // Check collision with all other balls
+    for (let otherBall of this.balls) {
+      if (otherBall === draggedBall) continue;
+
+      const dx = resolvedX - otherBall.x;
+      const dy = resolvedY - otherBall.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const minDistance = draggedBall.radius + otherBall.radius;
+
+      if (distance < minDistance && distance > 0) {
+        // Calculate collision normal
+        const normalX = dx / distance;
+        const normalY = dy / distance;
+
+        // Push the dragged ball away from the collision
+        const overlap = minDistance - distance;
+        resolvedX += normalX * overlap;
+        resolvedY += normalY * overlap;
+
+        // If the other ball is free to move, push it away too
+        if (!otherBall.isDragging && !otherBall.pinned) {
+          this.wakeBall(otherBall);
+
+          // Apply a gentle push to the other ball
+          const pushStrength = 30; // px/s
+          otherBall.vx += normalX * pushStrength;
+          otherBall.vy += normalY * pushStrength;
+
+          // Also slightly move the other ball to prevent overlap
+          otherBall.x -= normalX * (overlap * 0.3);
+          otherBall.y -= normalY * (overlap * 0.3);
+
+          // Ensure the pushed ball stays within bounds
+          this.clampToBounds(otherBall);
+        }
+      }
+    }
+
+    // Keep the dragged ball out of obstacles
+    const resolved = { x: resolvedX, y: resolvedY, radius: draggedBall.radius };
+    this.collideWithObstacles(resolved, false);
+
+    // Make sure the resolved position is still within the boundary
+    this.clampToBounds(resolved);
+    return { x: resolved.x, y: resolved.y };
+  }
+}
+
+// Allow require('./world.js') from Node and test runners
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { World };
+}